@@ -0,0 +1,144 @@
+// src/components/DraftsModal.js
+import React from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  Modal
+} from 'react-native';
+import { COLORS, SIZES, SHADOWS, MOODS } from '../constants/theme';
+import { formatTimestamp, truncateText } from '../utils/helpers';
+
+// Sheet listing saved drafts; tapping one opens it in the composer
+const DraftsModal = ({ visible, drafts, onSelect, onDelete, onClose }) => {
+  const renderDraft = ({ item }) => {
+    const mood = MOODS.find(option => option.id === item.mood);
+
+    return (
+      <TouchableOpacity
+        style={styles.draft}
+        onPress={() => onSelect(item)}
+        activeOpacity={0.7}
+      >
+        <Text style={styles.draftMood}>{mood ? mood.emoji : '📝'}</Text>
+        <View style={styles.draftInfo}>
+          <Text style={styles.draftText}>{truncateText(item.text, 90)}</Text>
+          <Text style={styles.draftTime}>Edited {formatTimestamp(item.updatedAt)}</Text>
+        </View>
+        <TouchableOpacity
+          style={styles.deleteButton}
+          onPress={() => onDelete(item.id)}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.deleteButtonText}>🗑️</Text>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Drafts</Text>
+          <FlatList
+            data={drafts}
+            renderItem={renderDraft}
+            keyExtractor={item => item.id}
+            style={styles.list}
+            ListEmptyComponent={
+              <Text style={styles.emptyText}>
+                Unfinished whispers are saved here as you type.
+              </Text>
+            }
+          />
+          <TouchableOpacity style={styles.closeButton} onPress={onClose} activeOpacity={0.7}>
+            <Text style={styles.closeButtonText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: SIZES.radiusLarge,
+    borderTopRightRadius: SIZES.radiusLarge,
+    padding: SIZES.large,
+    paddingBottom: SIZES.xlarge,
+    maxHeight: '75%',
+    ...SHADOWS.medium,
+  },
+  title: {
+    fontSize: SIZES.h3,
+    fontWeight: '600',
+    color: COLORS.text,
+    textAlign: 'center',
+    marginBottom: SIZES.large,
+  },
+  list: {
+    marginBottom: SIZES.medium,
+  },
+  draft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.medium,
+    marginBottom: SIZES.small,
+  },
+  draftMood: {
+    fontSize: 22,
+    marginRight: SIZES.small,
+  },
+  draftInfo: {
+    flex: 1,
+  },
+  draftText: {
+    fontSize: SIZES.caption,
+    color: COLORS.text,
+    lineHeight: 20,
+  },
+  draftTime: {
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+    marginTop: 2,
+  },
+  deleteButton: {
+    padding: SIZES.small,
+    marginLeft: SIZES.small,
+  },
+  deleteButtonText: {
+    fontSize: 18,
+  },
+  emptyText: {
+    fontSize: SIZES.body,
+    color: COLORS.textLight,
+    textAlign: 'center',
+    paddingVertical: SIZES.large,
+  },
+  closeButton: {
+    paddingVertical: SIZES.medium,
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    color: COLORS.textMuted,
+    fontSize: SIZES.body,
+  },
+});
+
+export default DraftsModal;
@@ -0,0 +1,300 @@
+// src/components/MoodTimeline.js
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet
+} from 'react-native';
+import { COLORS, SIZES, SHADOWS, MOODS, MOOD_CHART_COLORS } from '../constants/theme';
+import {
+  getMoodCalendar,
+  getMoodTrend,
+  getTimeOfDayPattern
+} from '../utils/moodAnalytics';
+
+const CALENDAR_WEEKS = 5;
+const TREND_PERIODS = [
+  { id: 'week', label: 'Weekly', count: 8 },
+  { id: 'month', label: 'Monthly', count: 6 }
+];
+
+const moodEmoji = (moodId) => MOODS.find(mood => mood.id === moodId)?.emoji;
+
+// One bar split into per-mood segments, stacked along `direction`
+const StackedBar = ({ counts, total, direction }) => (
+  <View style={[styles.stack, { flexDirection: direction }]}>
+    {MOODS.filter(mood => counts[mood.id] > 0).map(mood => (
+      <View
+        key={mood.id}
+        style={{ flex: counts[mood.id] / total, backgroundColor: MOOD_CHART_COLORS[mood.id] }}
+      />
+    ))}
+  </View>
+);
+
+// Mood over time for the user's own whispers: a calendar of each day's
+// dominant mood, weekly or monthly trends and time-of-day patterns
+const MoodTimeline = ({ whispers }) => {
+  const [period, setPeriod] = useState(TREND_PERIODS[0]);
+
+  const calendar = useMemo(() => (
+    getMoodCalendar(whispers, { days: CALENDAR_WEEKS * 7 })
+  ), [whispers]);
+  const trend = useMemo(() => (
+    getMoodTrend(whispers, { period: period.id, count: period.count })
+  ), [whispers, period]);
+  const timeOfDay = useMemo(() => getTimeOfDayPattern(whispers), [whispers]);
+
+  if (whispers.length === 0) return null;
+
+  const trendMax = Math.max(1, ...trend.map(bucket => bucket.total));
+  const slotMax = Math.max(1, ...timeOfDay.map(slot => slot.total));
+  const weeks = Array.from({ length: CALENDAR_WEEKS }, (_, index) => (
+    calendar.slice(index * 7, index * 7 + 7)
+  ));
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>Your Mood Timeline</Text>
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Last {CALENDAR_WEEKS} weeks</Text>
+        {weeks.map(week => (
+          <View key={week[0].day} style={styles.calendarRow}>
+            {week.map(entry => (
+              <View
+                key={entry.day}
+                style={[
+                  styles.calendarCell,
+                  entry.dominantMood && {
+                    backgroundColor: MOOD_CHART_COLORS[entry.dominantMood] + '40'
+                  }
+                ]}
+              >
+                {entry.dominantMood ? (
+                  <Text style={styles.calendarEmoji}>{moodEmoji(entry.dominantMood)}</Text>
+                ) : (
+                  <Text style={styles.calendarDate}>{entry.date.getDate()}</Text>
+                )}
+              </View>
+            ))}
+          </View>
+        ))}
+        <View style={styles.legend}>
+          {MOODS.map(mood => (
+            <View key={mood.id} style={styles.legendItem}>
+              <View style={[styles.legendDot, { backgroundColor: MOOD_CHART_COLORS[mood.id] }]} />
+              <Text style={styles.legendText}>{mood.name}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardTitle}>Trend</Text>
+          <View style={styles.periodToggle}>
+            {TREND_PERIODS.map(option => (
+              <TouchableOpacity
+                key={option.id}
+                style={[styles.periodChip, period.id === option.id && styles.periodChipActive]}
+                onPress={() => setPeriod(option)}
+                activeOpacity={0.7}
+              >
+                <Text
+                  style={[
+                    styles.periodChipText,
+                    period.id === option.id && styles.periodChipTextActive
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        <View style={styles.trendChart}>
+          {trend.map(bucket => (
+            <View key={bucket.label} style={styles.trendColumn}>
+              <View style={styles.trendTrack}>
+                {bucket.total > 0 && (
+                  <View style={{ height: `${(bucket.total / trendMax) * 100}%` }}>
+                    <StackedBar counts={bucket.counts} total={bucket.total} direction="column" />
+                  </View>
+                )}
+              </View>
+              <Text style={styles.trendLabel} numberOfLines={1}>{bucket.label}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Time of day</Text>
+        {timeOfDay.map(slot => (
+          <View key={slot.id} style={styles.slotRow}>
+            <Text style={styles.slotEmoji}>{slot.emoji}</Text>
+            <Text style={styles.slotLabel}>{slot.label}</Text>
+            <View style={styles.slotTrack}>
+              {slot.total > 0 && (
+                <View style={{ width: `${(slot.total / slotMax) * 100}%`, height: '100%' }}>
+                  <StackedBar counts={slot.counts} total={slot.total} direction="row" />
+                </View>
+              )}
+            </View>
+            <Text style={styles.slotMood}>
+              {slot.dominantMood ? moodEmoji(slot.dominantMood) : '–'}
+            </Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingTop: SIZES.xlarge,
+  },
+  sectionTitle: {
+    fontSize: SIZES.h3,
+    fontWeight: 'bold',
+    color: COLORS.text,
+    marginBottom: SIZES.large,
+    textAlign: 'center',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: SIZES.radiusLarge,
+    padding: SIZES.large,
+    marginBottom: SIZES.medium,
+    ...SHADOWS.medium,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  cardTitle: {
+    fontSize: SIZES.body,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SIZES.medium,
+  },
+  calendarRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  calendarCell: {
+    flex: 1,
+    aspectRatio: 1,
+    marginHorizontal: 3,
+    borderRadius: SIZES.radius,
+    backgroundColor: COLORS.lightGray,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  calendarEmoji: {
+    fontSize: 16,
+  },
+  calendarDate: {
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginTop: SIZES.small,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: SIZES.small / 2,
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: SIZES.small,
+    color: COLORS.textLight,
+  },
+  periodToggle: {
+    flexDirection: 'row',
+    marginBottom: SIZES.medium,
+  },
+  periodChip: {
+    paddingHorizontal: SIZES.small,
+    paddingVertical: 4,
+    borderRadius: SIZES.radiusMedium,
+    marginLeft: 6,
+    backgroundColor: COLORS.lightGray,
+  },
+  periodChipActive: {
+    backgroundColor: COLORS.primary,
+  },
+  periodChipText: {
+    fontSize: SIZES.small,
+    color: COLORS.textLight,
+    fontWeight: '600',
+  },
+  periodChipTextActive: {
+    color: 'white',
+  },
+  trendChart: {
+    flexDirection: 'row',
+    height: 120,
+  },
+  trendColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  trendTrack: {
+    flex: 1,
+    width: 14,
+    justifyContent: 'flex-end',
+  },
+  trendLabel: {
+    fontSize: 10,
+    color: COLORS.textMuted,
+    marginTop: 4,
+  },
+  stack: {
+    flex: 1,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  slotRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: SIZES.small,
+  },
+  slotEmoji: {
+    fontSize: 16,
+    width: 26,
+  },
+  slotLabel: {
+    width: 80,
+    fontSize: SIZES.caption,
+    color: COLORS.text,
+  },
+  slotTrack: {
+    flex: 1,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: COLORS.lightGray,
+    overflow: 'hidden',
+  },
+  slotMood: {
+    width: 28,
+    textAlign: 'right',
+    fontSize: 16,
+  },
+});
+
+export default MoodTimeline;
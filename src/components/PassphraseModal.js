@@ -0,0 +1,196 @@
+// src/components/PassphraseModal.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  StyleSheet,
+  Modal
+} from 'react-native';
+import { COLORS, SIZES, SHADOWS } from '../constants/theme';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Sheet asking for the passphrase that seals or unlocks an export's
+// identity. With `confirm` the passphrase is typed twice and must be
+// long enough; `error` is shown under the field.
+const PassphraseModal = ({
+  visible,
+  title,
+  message,
+  confirm = false,
+  busy = false,
+  error = '',
+  submitLabel = 'Continue',
+  skipLabel,
+  onSubmit,
+  onSkip,
+  onClose
+}) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [repeated, setRepeated] = useState('');
+
+  // Start empty each time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setPassphrase('');
+      setRepeated('');
+    }
+  }, [visible]);
+
+  const tooShort = confirm && passphrase.length < MIN_PASSPHRASE_LENGTH;
+  const mismatch = confirm && repeated.length > 0 && repeated !== passphrase;
+  const canSubmit = passphrase.length > 0 && !tooShort && (!confirm || repeated === passphrase) && !busy;
+
+  const hint = mismatch
+    ? 'The passphrases don\'t match.'
+    : error || (confirm ? `At least ${MIN_PASSPHRASE_LENGTH} characters. It can't be recovered if you forget it.` : '');
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.message}>{message}</Text>
+
+          <TextInput
+            style={styles.input}
+            value={passphrase}
+            onChangeText={setPassphrase}
+            placeholder="Passphrase"
+            placeholderTextColor={COLORS.textMuted}
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!busy}
+          />
+          {confirm && (
+            <TextInput
+              style={styles.input}
+              value={repeated}
+              onChangeText={setRepeated}
+              placeholder="Repeat passphrase"
+              placeholderTextColor={COLORS.textMuted}
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+              editable={!busy}
+            />
+          )}
+          {!!hint && (
+            <Text style={[styles.hint, (mismatch || error) && styles.hintError]}>{hint}</Text>
+          )}
+
+          <TouchableOpacity
+            style={[styles.submitButton, !canSubmit && styles.submitButtonDisabled]}
+            onPress={() => onSubmit(passphrase)}
+            disabled={!canSubmit}
+            activeOpacity={0.7}
+          >
+            {busy ? (
+              <ActivityIndicator color="white" />
+            ) : (
+              <Text style={styles.submitButtonText}>{submitLabel}</Text>
+            )}
+          </TouchableOpacity>
+          {skipLabel && (
+            <TouchableOpacity style={styles.textButton} onPress={onSkip} disabled={busy} activeOpacity={0.7}>
+              <Text style={styles.skipButtonText}>{skipLabel}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.textButton} onPress={onClose} disabled={busy} activeOpacity={0.7}>
+            <Text style={styles.closeButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: SIZES.radiusLarge,
+    borderTopRightRadius: SIZES.radiusLarge,
+    padding: SIZES.large,
+    paddingBottom: SIZES.xlarge,
+    ...SHADOWS.medium,
+  },
+  title: {
+    fontSize: SIZES.h3,
+    fontWeight: '600',
+    color: COLORS.text,
+    textAlign: 'center',
+    marginBottom: SIZES.small,
+  },
+  message: {
+    fontSize: SIZES.body,
+    color: COLORS.textLight,
+    lineHeight: 22,
+    textAlign: 'center',
+    marginBottom: SIZES.large,
+  },
+  input: {
+    backgroundColor: COLORS.background,
+    borderRadius: SIZES.radiusMedium,
+    paddingHorizontal: SIZES.medium,
+    paddingVertical: SIZES.small,
+    fontSize: SIZES.body,
+    color: COLORS.text,
+    marginBottom: SIZES.small,
+  },
+  hint: {
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+    marginBottom: SIZES.small,
+  },
+  hintError: {
+    color: '#FF5252',
+  },
+  submitButton: {
+    backgroundColor: COLORS.primary,
+    borderRadius: SIZES.radiusMedium,
+    paddingVertical: SIZES.medium,
+    alignItems: 'center',
+    marginTop: SIZES.small,
+  },
+  submitButtonDisabled: {
+    opacity: 0.5,
+  },
+  submitButtonText: {
+    color: 'white',
+    fontSize: SIZES.body,
+    fontWeight: '600',
+  },
+  textButton: {
+    paddingVertical: SIZES.medium,
+    alignItems: 'center',
+  },
+  skipButtonText: {
+    color: COLORS.primary,
+    fontSize: SIZES.body,
+  },
+  closeButtonText: {
+    color: COLORS.textMuted,
+    fontSize: SIZES.body,
+  },
+});
+
+export default PassphraseModal;
@@ -0,0 +1,171 @@
+// src/components/SupportResourcesModal.js
+import React from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  Linking,
+  Alert
+} from 'react-native';
+import { COLORS, SIZES, SHADOWS } from '../constants/theme';
+import { CRISIS_RESOURCES } from '../constants/supportResources';
+
+// Gentle sheet listing helplines. `actions` are extra buttons shown under
+// the resources, e.g. [{ label: 'Share my whisper', onPress }].
+const SupportResourcesModal = ({ visible, title, message, actions = [], onClose }) => {
+  // Devices without a dialer (iPads, simulators) can't open tel: links, so
+  // show the number or address to use instead
+  const handleResourcePress = (resource) => {
+    Linking.openURL(resource.phone ? `tel:${resource.phone}` : resource.url).catch(() => {
+      Alert.alert(
+        resource.name,
+        resource.phone
+          ? `Call ${resource.phone} from any phone.`
+          : `Visit ${resource.url} in your browser.`
+      );
+    });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Text style={styles.emoji}>🤍</Text>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.message}>{message}</Text>
+
+          <ScrollView style={styles.resourceList} showsVerticalScrollIndicator={false}>
+            {CRISIS_RESOURCES.map(resource => (
+              <TouchableOpacity
+                key={resource.id}
+                style={styles.resource}
+                onPress={() => handleResourcePress(resource)}
+                activeOpacity={0.7}
+              >
+                <View style={styles.resourceInfo}>
+                  <Text style={styles.resourceName}>{resource.name}</Text>
+                  <Text style={styles.resourceRegion}>{resource.region}</Text>
+                  <Text style={styles.resourceDescription}>{resource.description}</Text>
+                </View>
+                <Text style={styles.resourceAction}>{resource.phone ? '📞' : '🌐'}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          {actions.map(action => (
+            <TouchableOpacity
+              key={action.label}
+              style={styles.actionButton}
+              onPress={action.onPress}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.actionButtonText}>{action.label}</Text>
+            </TouchableOpacity>
+          ))}
+
+          <TouchableOpacity style={styles.closeButton} onPress={onClose} activeOpacity={0.7}>
+            <Text style={styles.closeButtonText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: SIZES.radiusLarge,
+    borderTopRightRadius: SIZES.radiusLarge,
+    padding: SIZES.large,
+    paddingBottom: SIZES.xlarge,
+    maxHeight: '85%',
+    ...SHADOWS.medium,
+  },
+  emoji: {
+    fontSize: 36,
+    textAlign: 'center',
+    marginBottom: SIZES.small,
+  },
+  title: {
+    fontSize: SIZES.h3,
+    fontWeight: '600',
+    color: COLORS.text,
+    textAlign: 'center',
+    marginBottom: SIZES.small,
+  },
+  message: {
+    fontSize: SIZES.body,
+    color: COLORS.textLight,
+    textAlign: 'center',
+    lineHeight: 22,
+    marginBottom: SIZES.large,
+  },
+  resourceList: {
+    marginBottom: SIZES.medium,
+  },
+  resource: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.medium,
+    marginBottom: SIZES.small,
+  },
+  resourceInfo: {
+    flex: 1,
+  },
+  resourceName: {
+    fontSize: SIZES.body,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  resourceRegion: {
+    fontSize: SIZES.small,
+    color: COLORS.primary,
+    marginBottom: 2,
+  },
+  resourceDescription: {
+    fontSize: SIZES.small,
+    color: COLORS.textLight,
+  },
+  resourceAction: {
+    fontSize: 22,
+    marginLeft: SIZES.small,
+  },
+  actionButton: {
+    backgroundColor: COLORS.primary,
+    borderRadius: SIZES.radiusLarge,
+    paddingVertical: SIZES.medium,
+    alignItems: 'center',
+    marginBottom: SIZES.small,
+  },
+  actionButtonText: {
+    color: 'white',
+    fontSize: SIZES.body,
+    fontWeight: '600',
+  },
+  closeButton: {
+    paddingVertical: SIZES.medium,
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    color: COLORS.textMuted,
+    fontSize: SIZES.body,
+  },
+});
+
+export default SupportResourcesModal;
@@ -1,18 +1,74 @@
 // src/components/WhisperCard.js
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
+  TextInput,
   TouchableOpacity,
   StyleSheet,
   Animated
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { COLORS, SIZES, SHADOWS } from '../constants/theme';
-import { formatTimestamp, formatDistance } from '../utils/helpers';
+import { COLORS, SIZES, SHADOWS, REACTIONS, REPORT_REASONS } from '../constants/theme';
+import {
+  formatTimestamp,
+  formatDistance,
+  formatTimeRemaining,
+  isWithinEditWindow,
+  validateWhisperText
+} from '../utils/helpers';
+import { moderateText } from '../services/moderation';
+import { detectCrisis } from '../services/crisisDetection';
+import usePrePublishCheck from '../hooks/usePrePublishCheck';
+import SupportResourcesModal from './SupportResourcesModal';
+
+// Re-render once a minute so the fade countdown stays current
+const useMinuteTick = (enabled) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, [enabled]);
+
+  return now;
+};
 
-const WhisperCard = ({ whisper, onLike, style }) => {
+const WhisperCard = ({
+  whisper,
+  onLike,
+  onReact,
+  onReport,
+  onOpenThread,
+  onEdit,
+  onDelete,
+  style
+}) => {
   const scaleAnim = new Animated.Value(1);
+  const now = useMinuteTick(!!whisper.expiresAt || !!whisper.isMine);
+  const [openPanel, setOpenPanel] = useState(null); // 'reactions' | 'report' | 'edit'
+  const [editText, setEditText] = useState(whisper.text);
+  const [editError, setEditError] = useState('');
+  const [isSavingEdit, setIsSavingEdit] = useState(false);
+  const [revealed, setRevealed] = useState(false);
+  const [supportVisible, setSupportVisible] = useState(false);
+  const {
+    runChecks,
+    supportVisible: editSupportVisible,
+    continueAfterSupport,
+    closeSupport
+  } = usePrePublishCheck();
+
+  // Whispers that sound like someone is struggling get a gentle way to help
+  const needsSupport = useMemo(() => detectCrisis(whisper.text).isCrisis, [whisper.text]);
+
+  // Blur-tier language stays covered until the reader chooses to see it.
+  // Warn-tier text is only flagged to its author before posting.
+  const isCovered = useMemo(
+    () => moderateText(whisper.text).action === 'blur',
+    [whisper.text]
+  ) && !revealed;
 
   const handlePress = () => {
     Animated.sequence([
@@ -34,6 +90,71 @@ const WhisperCard = ({ whisper, onLike, style }) => {
     handlePress();
   };
 
+  // Long-pressing the like button opens the reaction picker
+  const handleLongPress = () => {
+    if (onReact) {
+      togglePanel('reactions');
+    }
+  };
+
+  const togglePanel = (panel) => {
+    setOpenPanel(prev => (prev === panel ? null : panel));
+  };
+
+  const handleReact = (reactionId) => {
+    onReact(whisper.id, reactionId);
+    setOpenPanel(null);
+    handlePress();
+  };
+
+  const handleReport = (reasonId) => {
+    setOpenPanel(null);
+    onReport(whisper.id, reasonId);
+  };
+
+  // Authors can fix a whisper shortly after posting it
+  const canEdit = !!onEdit && whisper.isMine && !whisper.pending && isWithinEditWindow(whisper, now);
+
+  const handleStartEdit = () => {
+    setEditText(whisper.text);
+    setEditError('');
+    togglePanel('edit');
+  };
+
+  // Edits go through the same checks as new whispers in the composer
+  const saveEdit = async () => {
+    setIsSavingEdit(true);
+    const saved = await onEdit(whisper.id, editText);
+    setIsSavingEdit(false);
+
+    if (saved) {
+      setOpenPanel(null);
+    } else {
+      setEditError('Couldn\'t save your edit. The edit window may have closed.');
+    }
+  };
+
+  // Edits go through the same checks as a new whisper
+  const handleSaveEdit = () => {
+    const validation = validateWhisperText(editText);
+    if (!validation.isValid) {
+      setEditError(validation.errors[0]);
+      return;
+    }
+
+    runChecks(editText, {
+      confirmLabel: 'Save Anyway',
+      onPass: saveEdit,
+      onRedact: setEditText
+    });
+  };
+
+  const receivedReactions = REACTIONS.filter(reaction => whisper.reactions?.[reaction.id] > 0);
+
+  const handleOpenThread = () => {
+    onOpenThread && onOpenThread(whisper.id);
+  };
+
   // Calculate progress bar width based on likes
   const progressWidth = Math.min(100, whisper.likes * 5);
 
@@ -57,7 +178,18 @@ const WhisperCard = ({ whisper, onLike, style }) => {
 
       {/* Whisper content */}
       <View style={styles.content}>
-        <Text style={styles.whisperText}>{whisper.text}</Text>
+        {isCovered ? (
+          <TouchableOpacity
+            style={styles.coveredText}
+            onPress={() => setRevealed(true)}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.coveredTitle}>🙈 Sensitive language</Text>
+            <Text style={styles.coveredHint}>Tap to show this whisper</Text>
+          </TouchableOpacity>
+        ) : (
+          <Text style={styles.whisperText}>{whisper.text}</Text>
+        )}
 
         {/* Progress bar */}
         <View style={styles.progressContainer}>
@@ -69,28 +201,216 @@ const WhisperCard = ({ whisper, onLike, style }) => {
           />
         </View>
 
+        {/* Reach out */}
+        {needsSupport && (
+          <TouchableOpacity
+            style={styles.reachOut}
+            onPress={() => setSupportVisible(true)}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.reachOutText}>🤝 Someone may be struggling. Reach out</Text>
+          </TouchableOpacity>
+        )}
+
+        {/* Reactions received */}
+        {receivedReactions.length > 0 && (
+          <View style={styles.reactionSummary}>
+            {receivedReactions.map(reaction => (
+              <View
+                key={reaction.id}
+                style={[
+                  styles.reactionChip,
+                  whisper.myReaction === reaction.id && styles.myReactionChip,
+                ]}
+              >
+                <Text style={styles.reactionChipText}>
+                  {reaction.emoji} {whisper.reactions[reaction.id]}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* Reaction picker */}
+        {openPanel === 'reactions' && (
+          <View style={styles.reactionPicker}>
+            {REACTIONS.map(reaction => (
+              <TouchableOpacity
+                key={reaction.id}
+                style={[
+                  styles.reactionOption,
+                  whisper.myReaction === reaction.id && styles.selectedReactionOption,
+                ]}
+                onPress={() => handleReact(reaction.id)}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.reactionOptionEmoji}>{reaction.emoji}</Text>
+                <Text style={styles.reactionOptionName}>{reaction.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {/* Report reasons */}
+        {openPanel === 'report' && (
+          <View style={styles.reportPanel}>
+            <Text style={styles.reportTitle}>Why are you reporting this whisper?</Text>
+            {REPORT_REASONS.map(reason => (
+              <TouchableOpacity
+                key={reason.id}
+                style={styles.reportOption}
+                onPress={() => handleReport(reason.id)}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.reportOptionText}>{reason.emoji}  {reason.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {/* Edit own whisper */}
+        {openPanel === 'edit' && (
+          <View style={styles.reportPanel}>
+            <TextInput
+              style={styles.editInput}
+              value={editText}
+              onChangeText={setEditText}
+              multiline
+              maxLength={400}
+              autoFocus
+            />
+            {editError ? <Text style={styles.editError}>{editError}</Text> : null}
+            <View style={styles.editActions}>
+              <TouchableOpacity
+                style={styles.reportOption}
+                onPress={() => setOpenPanel(null)}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.reportOptionText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.likeButton, styles.likedButton]}
+                onPress={handleSaveEdit}
+                disabled={isSavingEdit}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.likeText, styles.likedText]}>
+                  {isSavingEdit ? 'Saving…' : 'Save'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
         {/* Meta information */}
         <View style={styles.metaContainer}>
           <View style={styles.leftMeta}>
-            <Text style={styles.timeText}>
-              {formatTimestamp(whisper.timestamp)}
-            </Text>
-            {whisper.distance && (
+            {whisper.pending ? (
+              <View style={styles.pendingBadge}>
+                <Text style={styles.pendingText}>sending…</Text>
+              </View>
+            ) : (
+              <Text style={styles.timeText}>
+                {formatTimestamp(whisper.timestamp)}
+              </Text>
+            )}
+            {whisper.editedAt && !whisper.pending && (
+              <Text style={styles.distanceText}>• edited</Text>
+            )}
+            {whisper.distance != null && (
               <Text style={styles.distanceText}>
                 • {formatDistance(whisper.distance)}
               </Text>
             )}
+            {whisper.expiresAt && (
+              <Text style={styles.expiryText}>
+                • ⏳ {formatTimeRemaining(whisper.expiresAt, now)}
+              </Text>
+            )}
           </View>
 
-          <TouchableOpacity
-            style={styles.likeButton}
-            onPress={handleLike}
-            activeOpacity={0.7}
-          >
-            <Text style={styles.likeText}>💙 {whisper.likes}</Text>
-          </TouchableOpacity>
+          <View style={styles.actions}>
+            {/* Authors manage their own whispers instead of reporting them */}
+            {canEdit && (
+              <TouchableOpacity
+                style={styles.reportButton}
+                onPress={handleStartEdit}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.reportButtonText}>✏️</Text>
+              </TouchableOpacity>
+            )}
+            {onDelete && whisper.isMine && !whisper.pending && (
+              <TouchableOpacity
+                style={styles.reportButton}
+                onPress={() => onDelete(whisper.id)}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.reportButtonText}>🗑️</Text>
+              </TouchableOpacity>
+            )}
+            {/* Whispers still sending can't be reported or replied to yet */}
+            {onReport && !whisper.isMine && !whisper.pending && (
+              <TouchableOpacity
+                style={styles.reportButton}
+                onPress={() => togglePanel('report')}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.reportButtonText}>🚩</Text>
+              </TouchableOpacity>
+            )}
+            {onOpenThread && !whisper.pending && (
+              <TouchableOpacity
+                style={[styles.likeButton, styles.replyButton]}
+                onPress={handleOpenThread}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.likeText}>💬 {whisper.replyCount || 0}</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.likeButton, whisper.liked && styles.likedButton]}
+              onPress={handleLike}
+              onLongPress={handleLongPress}
+              activeOpacity={0.7}
+            >
+              <Text style={[styles.likeText, whisper.liked && styles.likedText]}>
+                {whisper.liked ? '💙' : '🤍'} {whisper.likes}
+              </Text>
+            </TouchableOpacity>
+          </View>
         </View>
       </View>
+
+      {needsSupport && (
+        <SupportResourcesModal
+          visible={supportVisible}
+          title="Help someone feel less alone"
+          message="A kind reply can mean a lot. If they're in danger, these helplines are free and confidential, and you can share them."
+          actions={onOpenThread ? [
+            {
+              label: 'Send a Kind Reply',
+              onPress: () => {
+                setSupportVisible(false);
+                onOpenThread(whisper.id);
+              }
+            }
+          ] : []}
+          onClose={() => setSupportVisible(false)}
+        />
+      )}
+
+      {whisper.isMine && (
+        <SupportResourcesModal
+          visible={editSupportVisible}
+          title="You don't have to carry this alone"
+          message="It sounds like things are really heavy right now. Talking to someone can help, and these helplines are free and confidential."
+          actions={[
+            { label: 'Save My Edit', onPress: continueAfterSupport }
+          ]}
+          onClose={closeSupport}
+        />
+      )}
     </Animated.View>
   );
 };
@@ -115,6 +435,23 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     marginBottom: SIZES.medium,
   },
+  coveredText: {
+    backgroundColor: COLORS.lightGray,
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.medium,
+    alignItems: 'center',
+    marginBottom: SIZES.medium,
+  },
+  coveredTitle: {
+    fontSize: SIZES.caption,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  coveredHint: {
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+    marginTop: 2,
+  },
   progressContainer: {
     height: 6,
     backgroundColor: '#f0dada',
@@ -127,6 +464,105 @@ const styles = StyleSheet.create({
     backgroundColor: COLORS.primary,
     borderRadius: 3,
   },
+  reachOut: {
+    backgroundColor: 'rgba(76, 175, 80, 0.1)',
+    borderRadius: SIZES.radius,
+    paddingVertical: SIZES.base,
+    paddingHorizontal: SIZES.small,
+    marginBottom: SIZES.small,
+  },
+  reachOutText: {
+    fontSize: SIZES.small,
+    color: '#2E7D32',
+    fontWeight: '500',
+  },
+  reactionSummary: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: SIZES.small,
+  },
+  reactionChip: {
+    paddingVertical: 2,
+    paddingHorizontal: SIZES.small,
+    borderRadius: SIZES.radius,
+    backgroundColor: COLORS.lightGray,
+    marginRight: SIZES.base,
+    marginBottom: SIZES.base,
+  },
+  myReactionChip: {
+    backgroundColor: 'rgba(233, 30, 99, 0.15)',
+  },
+  reactionChipText: {
+    fontSize: SIZES.small,
+    color: COLORS.text,
+  },
+  reactionPicker: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    backgroundColor: COLORS.background,
+    borderRadius: SIZES.radiusMedium,
+    paddingVertical: SIZES.small,
+    marginBottom: SIZES.small,
+  },
+  reactionOption: {
+    alignItems: 'center',
+    paddingVertical: SIZES.base,
+    paddingHorizontal: SIZES.small,
+    borderRadius: SIZES.radius,
+  },
+  selectedReactionOption: {
+    backgroundColor: 'rgba(233, 30, 99, 0.15)',
+  },
+  reactionOptionEmoji: {
+    fontSize: 22,
+  },
+  reactionOptionName: {
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+    marginTop: 2,
+  },
+  reportPanel: {
+    backgroundColor: COLORS.background,
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.small,
+    marginBottom: SIZES.small,
+  },
+  reportTitle: {
+    fontSize: SIZES.small,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SIZES.base,
+  },
+  reportOption: {
+    paddingVertical: SIZES.base,
+    paddingHorizontal: SIZES.small,
+    borderRadius: SIZES.radius,
+  },
+  reportOptionText: {
+    fontSize: SIZES.caption,
+    color: COLORS.text,
+  },
+  editInput: {
+    fontSize: SIZES.body,
+    color: COLORS.text,
+    lineHeight: 22,
+    backgroundColor: 'white',
+    borderRadius: SIZES.radius,
+    padding: SIZES.small,
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  editError: {
+    fontSize: SIZES.small,
+    color: COLORS.primary,
+    marginTop: SIZES.base,
+  },
+  editActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: SIZES.small,
+  },
   metaContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -141,22 +577,60 @@ const styles = StyleSheet.create({
     fontSize: SIZES.small,
     color: COLORS.textMuted,
   },
+  pendingBadge: {
+    backgroundColor: COLORS.lightGray,
+    borderRadius: SIZES.radius,
+    paddingHorizontal: SIZES.small,
+    paddingVertical: 2,
+  },
+  pendingText: {
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+    fontStyle: 'italic',
+  },
   distanceText: {
     fontSize: SIZES.small,
     color: COLORS.textMuted,
     marginLeft: SIZES.base,
   },
+  expiryText: {
+    fontSize: SIZES.small,
+    color: COLORS.primary,
+    marginLeft: SIZES.base,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  reportButton: {
+    paddingVertical: SIZES.base,
+    paddingHorizontal: SIZES.small,
+    marginRight: SIZES.base,
+  },
+  reportButtonText: {
+    fontSize: SIZES.small,
+    opacity: 0.6,
+  },
+  replyButton: {
+    marginRight: SIZES.base,
+  },
   likeButton: {
     paddingVertical: SIZES.base,
     paddingHorizontal: SIZES.small,
     borderRadius: SIZES.radius,
     backgroundColor: 'rgba(233, 30, 99, 0.1)',
   },
+  likedButton: {
+    backgroundColor: COLORS.primary,
+  },
   likeText: {
     fontSize: SIZES.small,
     color: COLORS.primary,
     fontWeight: '500',
   },
+  likedText: {
+    color: 'white',
+  },
 });
 
 export default WhisperCard;
\ No newline at end of file
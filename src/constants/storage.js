@@ -0,0 +1,27 @@
+// src/constants/storage.js
+
+// Every AsyncStorage key the app owns. Add new keys here so features like
+// "Clear All Data" can find them.
+export const STORAGE_KEYS = {
+  hasLaunched: 'hasLaunched',
+  whispers: 'whispers',
+  whispersCache: 'whispersCache',
+  replies: 'replies',
+  likes: 'likes',
+  reactions: 'reactions',
+  reports: 'reports',
+  moderationWordList: 'moderationWordList',
+  preferences: 'preferences',
+  drafts: 'drafts',
+  scheduledWhispers: 'scheduledWhispers',
+  outbox: 'outbox',
+  engagementHistory: 'engagementHistory',
+  activityLog: 'activityLog',
+  journal: 'journal',
+  memberSince: 'memberSince',
+
+  // Legacy keys: `locationRadius` moved into `preferences`, `userId` into
+  // the secure identity (services/identity)
+  locationRadius: 'locationRadius',
+  userId: 'userId',
+};
@@ -0,0 +1,41 @@
+// src/constants/supportResources.js
+
+// Helplines shown when a whisper looks like someone is in crisis.
+// `phone` opens the dialer, `url` opens the browser.
+export const CRISIS_RESOURCES = [
+  {
+    id: 'tele-manas',
+    name: 'Tele MANAS',
+    region: 'India',
+    description: 'Free, 24/7 mental health support in many Indian languages',
+    phone: '14416'
+  },
+  {
+    id: 'aasra',
+    name: 'AASRA',
+    region: 'India',
+    description: '24/7 helpline for people who are distressed or suicidal',
+    phone: '+919820466726'
+  },
+  {
+    id: '988',
+    name: '988 Suicide & Crisis Lifeline',
+    region: 'United States',
+    description: 'Call or text 988, any time',
+    phone: '988'
+  },
+  {
+    id: 'samaritans',
+    name: 'Samaritans',
+    region: 'UK & Ireland',
+    description: 'Call 116 123 for free, any time',
+    phone: '116123'
+  },
+  {
+    id: 'find-a-helpline',
+    name: 'Find A Helpline',
+    region: 'Worldwide',
+    description: 'Free, confidential helplines in your country',
+    url: 'https://findahelpline.com'
+  }
+];
@@ -127,4 +127,104 @@ export const MOODS = [
     colors: [COLORS.greed.light, COLORS.greed.dark],
     textColor: COLORS.greed.text
   }
-];
\ No newline at end of file
+];
+
+// Chart colors per mood; the mood gradients are too close to tell apart
+// in small bars and calendar cells
+export const MOOD_CHART_COLORS = {
+  calm: '#4CAF50',
+  love: '#E91E63',
+  dear: '#9C27B0',
+  greed: '#FF9800'
+};
+
+// How long a whisper stays on the wall before it fades
+export const WHISPER_LIFETIMES = [
+  {
+    id: '1h',
+    name: '1 hour',
+    emoji: '🕐',
+    duration: 60 * 60 * 1000
+  },
+  {
+    id: '24h',
+    name: '24 hours',
+    emoji: '🌙',
+    duration: 24 * 60 * 60 * 1000
+  },
+  {
+    id: '7d',
+    name: '7 days',
+    emoji: '📅',
+    duration: 7 * 24 * 60 * 60 * 1000
+  },
+  {
+    id: 'permanent',
+    name: 'Forever',
+    emoji: '♾️',
+    duration: null
+  }
+];
+
+export const DEFAULT_WHISPER_LIFETIME = '24h';
+
+// How long after posting the author can still change a whisper's text
+export const WHISPER_EDIT_WINDOW = 15 * 60 * 1000;
+
+// Who can read a whisper. Private ones stay in the on-device journal.
+export const WHISPER_VISIBILITIES = [
+  {
+    id: 'public',
+    name: 'Everyone nearby',
+    emoji: '📍'
+  },
+  {
+    id: 'private',
+    name: 'Just for me',
+    emoji: '🔒'
+  }
+];
+
+// When a whisper goes up. `delay` is relative to now; `hour` is the next
+// time the clock reaches that hour.
+export const SCHEDULE_OPTIONS = [
+  {
+    id: 'now',
+    name: 'Now',
+    emoji: '⚡'
+  },
+  {
+    id: '1h',
+    name: 'In 1 hour',
+    emoji: '⏳',
+    delay: 60 * 60 * 1000
+  },
+  {
+    id: 'evening',
+    name: 'Evening',
+    emoji: '🌆',
+    hour: 19
+  },
+  {
+    id: 'morning',
+    name: 'Morning',
+    emoji: '🌅',
+    hour: 8
+  }
+];
+
+// Reactions a whisper can receive besides a like
+export const REACTIONS = [
+  { id: 'hug', name: 'Hug', emoji: '🤗' },
+  { id: 'same', name: 'Same', emoji: '🙋' },
+  { id: 'strength', name: 'Strength', emoji: '💪' },
+  { id: 'love', name: 'Love', emoji: '❤️' }
+];
+
+// Reasons a whisper can be reported for
+export const REPORT_REASONS = [
+  { id: 'harassment', name: 'Harassment', emoji: '😠' },
+  { id: 'self-harm', name: 'Self-harm', emoji: '🆘' },
+  { id: 'spam', name: 'Spam', emoji: '📢' },
+  { id: 'personal-info', name: 'Personal info', emoji: '🪪' }
+];
@@ -1,7 +1,56 @@
 // src/context/AppContext.js
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useMemo, useRef } from 'react';
+import { AppState, Alert } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Location from 'expo-location';
+import { createWhisperRepository } from '../services/whisperRepository';
+import { buildExport } from '../services/dataExport';
+import { getWhispersToRestore } from '../services/dataImport';
+import {
+  loadOrCreateIdentity,
+  saveIdentity,
+  sealIdentity,
+  deleteIdentity,
+  signWhisper,
+  signReply,
+  createOwnershipProof
+} from '../services/identity';
+import { DEFAULT_PREFERENCES, loadPreferences, savePreferences } from '../services/preferencesStore';
+import { loadWordList } from '../services/moderation';
+import {
+  loadDrafts,
+  saveDraft as storeDraft,
+  deleteDraft as removeDraft
+} from '../services/draftsStore';
+import {
+  loadScheduledWhispers,
+  saveScheduledWhisper,
+  deleteScheduledWhisper,
+  partitionDue
+} from '../services/scheduledStore';
+import { createOutbox } from '../services/outbox';
+import {
+  loadJournal,
+  addJournalEntry as storeJournalEntry,
+  deleteJournalEntry as removeJournalEntry
+} from '../services/journalStore';
+import { recordEngagement } from '../services/engagementHistory';
+import {
+  loadActivityLog,
+  recordActivity,
+  loadOrCreateMemberSince,
+  saveMemberSince
+} from '../services/activityLog';
+import { STORAGE_KEYS } from '../constants/storage';
+import { WHISPER_LIFETIMES, DEFAULT_WHISPER_LIFETIME } from '../constants/theme';
+import {
+  getWhisperDistance,
+  isWhisperExpired,
+  isWithinEditWindow,
+  generateId
+} from '../utils/helpers';
+import { createSpatialIndex } from '../utils/spatialIndex';
 
 // Create context
 const AppContext = createContext();
@@ -15,84 +64,179 @@ export const useApp = () => {
   return context;
 };
 
-// Mock data for development
-const MOCK_WHISPERS = [
-  {
-    id: '1',
-    text: 'A quiet corner with a book and a warm cup of tea brings peace to my restless mind.',
-    mood: 'calm',
-    timestamp: new Date(Date.now() - 15 * 60 * 1000),
-    likes: 12,
-    location: { latitude: 21.1702, longitude: 72.8311 },
-    distance: 150,
-    userId: 'user_123'
-  },
-  {
-    id: '2',
-    text: 'Your smile is the sunrise that brightens my darkest days. Thank you for existing.',
-    mood: 'love',
-    timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000),
-    likes: 25,
-    location: { latitude: 21.1702, longitude: 72.8311 },
-    distance: 300,
-    userId: 'user_456'
-  },
-  {
-    id: '3',
-    text: 'Dear future self, remember this moment of pure happiness. Hold onto it.',
-    mood: 'dear',
-    timestamp: new Date(Date.now() - 3 * 60 * 60 * 1000),
-    likes: 15,
-    location: { latitude: 21.1702, longitude: 72.8311 },
-    distance: 250,
-    userId: 'user_789'
-  },
-  {
-    id: '4',
-    text: 'Success isn\'t about the money, but the freedom to choose your own path.',
-    mood: 'greed',
-    timestamp: new Date(Date.now() - 4 * 60 * 60 * 1000),
-    likes: 18,
-    location: { latitude: 21.1702, longitude: 72.8311 },
-    distance: 400,
-    userId: 'user_101'
-  }
-];
+// Minimum movement (meters) before we update the viewer's location
+const LOCATION_UPDATE_DISTANCE = 50;
+
+// How often expired whispers are swept from the wall
+const EXPIRY_SWEEP_INTERVAL = 60 * 1000;
+
+// setTimeout can't wait longer than this (about 24.8 days)
+const MAX_TIMER_DELAY = 2147483647;
+
+// Default whisper repository (HTTP backend or local stand-in server)
+const defaultWhisperRepository = createWhisperRepository({ storage: AsyncStorage });
 
 // App Provider Component
-export const AppProvider = ({ children }) => {
+export const AppProvider = ({ children, whisperRepository = defaultWhisperRepository }) => {
   // State variables
   const [user, setUser] = useState(null);
   const [location, setLocation] = useState(null);
   const [whispers, setWhispers] = useState([]);
-  const [selectedMood, setSelectedMood] = useState('calm');
+  const [replies, setReplies] = useState({}); // { [whisperId]: reply[] }
+  const [likedWhisperIds, setLikedWhisperIds] = useState([]);
+  const [myReactions, setMyReactions] = useState({}); // { [whisperId]: reaction }
+  const [reportedWhisperIds, setReportedWhisperIds] = useState([]);
+  const [moderationQueue, setModerationQueue] = useState([]);
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [drafts, setDrafts] = useState([]);
+  const [journalEntries, setJournalEntries] = useState([]);
+  const [scheduledWhispers, setScheduledWhispers] = useState([]);
+  const [outboxEntries, setOutboxEntries] = useState([]);
+  const [myWhispers, setMyWhispers] = useState([]); // every whisper by this user
+  const [engagementHistory, setEngagementHistory] = useState({});
+  const [activityLog, setActivityLog] = useState({}); // { [day]: types[] }
   const [loading, setLoading] = useState(true);
-  const [locationRadius, setLocationRadius] = useState(2000); // 2km default
   const [isFirstLaunch, setIsFirstLaunch] = useState(false);
+  const locationSubscription = useRef(null);
+  const identityRef = useRef(null);
+  const pendingLikes = useRef(new Set());
+  const pendingReactions = useRef(new Set());
+  const publishingScheduled = useRef(false);
+  const outboxRetryTimer = useRef(null);
+
+  // Posts, likes and reports wait here until the backend has them
+  const outbox = useMemo(() => createOutbox({ storage: AsyncStorage }), []);
+
+  const { locationRadius, selectedMood } = preferences;
 
   // Initialize app on mount
   useEffect(() => {
     initializeApp();
+
+    return () => {
+      stopWatchingLocation();
+      clearTimeout(outboxRetryTimer.current);
+    };
   }, []);
 
+  // Periodically fade out expired whispers, in state and in storage
+  useEffect(() => {
+    const sweep = async () => {
+      setWhispers(prev => (
+        prev.some(whisper => isWhisperExpired(whisper))
+          ? prev.filter(whisper => !isWhisperExpired(whisper))
+          : prev
+      ));
+
+      try {
+        await whisperRepository.pruneExpired();
+      } catch (error) {
+        console.error('Expiry sweep error:', error);
+      }
+    };
+
+    const interval = setInterval(sweep, EXPIRY_SWEEP_INTERVAL);
+    return () => clearInterval(interval);
+  }, [whisperRepository]);
+
+  // Coming back to the foreground, retry the outbox and publish scheduled
+  // whispers that fell due in the background
+  useEffect(() => {
+    if (loading) return;
+
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        logActivity('open');
+        syncOutbox();
+        publishDueWhispers();
+      }
+    });
+    return () => subscription.remove();
+  }, [loading]);
+
+  // Retry the outbox as soon as the connection comes back
+  useEffect(() => {
+    if (loading) return;
+
+    let wasConnected = true;
+    const unsubscribe = NetInfo.addEventListener(state => {
+      const isConnected = !!state.isConnected && state.isInternetReachable !== false;
+      if (isConnected && !wasConnected) {
+        syncOutbox();
+      }
+      wasConnected = isConnected;
+    });
+    return unsubscribe;
+  }, [loading]);
+
+  // While the app is open, publish the next scheduled whisper on time
+  useEffect(() => {
+    if (loading) return;
+
+    const now = Date.now();
+    const next = scheduledWhispers.find(item => new Date(item.publishAt).getTime() > now);
+    if (!next) return;
+
+    const delay = Math.min(new Date(next.publishAt).getTime() - now, MAX_TIMER_DELAY);
+    const timer = setTimeout(publishDueWhispers, delay);
+    return () => clearTimeout(timer);
+  }, [scheduledWhispers, loading]);
+
+  // Persist preferences whenever they change after startup
+  useEffect(() => {
+    if (!loading) {
+      savePreferences(AsyncStorage, preferences).catch(error => {
+        console.error('Save preferences error:', error);
+      });
+    }
+  }, [preferences]);
+
+  // Re-query the wall whenever the viewer moves or changes the radius
+  useEffect(() => {
+    if (!loading) {
+      refreshWhispers();
+    }
+  }, [location, locationRadius]);
+
   // Initialize app function
   const initializeApp = async () => {
+    // Refresh the moderation word list in the background
+    loadWordList(AsyncStorage);
+
     try {
       // Check if first launch
-      const hasLaunched = await AsyncStorage.getItem('hasLaunched');
+      const hasLaunched = await AsyncStorage.getItem(STORAGE_KEYS.hasLaunched);
       if (!hasLaunched) {
         setIsFirstLaunch(true);
-        await AsyncStorage.setItem('hasLaunched', 'true');
+        await AsyncStorage.setItem(STORAGE_KEYS.hasLaunched, 'true');
       }
 
+      // Restore saved preferences
+      const savedPreferences = await initializePreferences();
+
       // Initialize or get user
       await initializeUser();
+      await initializeActivityLog();
+
+      // Restore unfinished, scheduled and unsent whispers, and the
+      // private journal
+      await initializeDrafts();
+      await initializeJournal();
+      await initializeScheduledWhispers();
+      await initializeOutbox();
       
-      // Load cached whispers
-      await loadCachedWhispers();
+      // Get location (if permission already granted and auto-detect is on)
+      const currentLocation = savedPreferences.autoLocation
+        ? await getCurrentLocation()
+        : null;
       
-      // Get location (if permission already granted)
-      await getCurrentLocation();
+      // Load whispers around the user
+      await refreshWhispers(currentLocation, savedPreferences.locationRadius);
+
+      // Send what was queued offline and publish anything that came due
+      // while the app was closed
+      syncOutbox();
+      await publishDueWhispers();
       
     } catch (error) {
       console.error('App initialization error:', error);
@@ -101,48 +245,283 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  // Load preferences, falling back to defaults if storage is unreadable
+  const initializePreferences = async () => {
+    try {
+      const savedPreferences = await loadPreferences(AsyncStorage);
+      setPreferences(savedPreferences);
+      return savedPreferences;
+    } catch (error) {
+      console.error('Preferences initialization error:', error);
+      return DEFAULT_PREFERENCES;
+    }
+  };
+
   // Initialize user function
   const initializeUser = async () => {
     try {
-      let userId = await AsyncStorage.getItem('userId');
-      if (!userId) {
-        userId = generateUserId();
-        await AsyncStorage.setItem('userId', userId);
+      // Installs from before the secure identity keep their old id
+      const legacyUserId = await AsyncStorage.getItem(STORAGE_KEYS.userId);
+      const identity = await loadOrCreateIdentity({ legacyUserId });
+      if (legacyUserId) {
+        await AsyncStorage.removeItem(STORAGE_KEYS.userId);
       }
+      identityRef.current = identity;
       
       const userData = {
-        id: userId,
+        id: identity.userId,
         isAnonymous: true,
-        createdAt: new Date(),
-        totalWhispers: 0,
-        totalLikes: 0
+        createdAt: await loadMemberSince(identity.userId)
       };
       
       setUser(userData);
+      await loadUserFeedback(identity.userId);
     } catch (error) {
       console.error('User initialization error:', error);
     }
   };
 
-  // Generate unique user ID
-  const generateUserId = () => {
-    return 'user_' + Math.random().toString(36).substring(2, 15) + Date.now();
+  // When the user joined. Installs from before this was saved count from
+  // their oldest whisper.
+  const loadMemberSince = async (userId) => {
+    const fallback = async () => {
+      try {
+        const userWhispers = await whisperRepository.fetchUserWhispers(userId);
+        const oldest = Math.min(...userWhispers.map(whisper => new Date(whisper.timestamp).getTime()));
+        return Number.isFinite(oldest) ? new Date(oldest) : new Date();
+      } catch (error) {
+        return new Date();
+      }
+    };
+
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.memberSince);
+    return loadOrCreateMemberSince(AsyncStorage, stored ? null : await fallback());
   };
 
-  // Load cached whispers
-  const loadCachedWhispers = async () => {
+  // Load the activity log and count today's visit
+  const initializeActivityLog = async () => {
     try {
-      const cachedWhispers = await AsyncStorage.getItem('whispers');
-      if (cachedWhispers) {
-        setWhispers(JSON.parse(cachedWhispers));
-      } else {
-        // First time - use mock data
-        setWhispers(MOCK_WHISPERS);
-        await AsyncStorage.setItem('whispers', JSON.stringify(MOCK_WHISPERS));
+      setActivityLog(await loadActivityLog(AsyncStorage));
+      await logActivity('open');
+    } catch (error) {
+      console.error('Activity log initialization error:', error);
+    }
+  };
+
+  // Record that the user did something today: 'open', 'post' or 'react'
+  const logActivity = async (type) => {
+    try {
+      setActivityLog(await recordActivity(AsyncStorage, type));
+    } catch (error) {
+      console.error('Log activity error:', error);
+    }
+  };
+
+  // Load the likes, reactions and reports this user has already given
+  const loadUserFeedback = async (userId) => {
+    try {
+      const [likedIds, reactions, reportedIds] = await Promise.all([
+        whisperRepository.fetchLikedWhisperIds(userId),
+        whisperRepository.fetchUserReactions(userId),
+        whisperRepository.fetchReportedWhisperIds(userId)
+      ]);
+
+      // Likes and reports still in the outbox haven't reached the backend
+      const queued = await outbox.load();
+      const queuedLikes = queued.filter(entry => entry.type === 'like');
+      const queuedReports = queued.filter(entry => entry.type === 'report');
+
+      setLikedWhisperIds([
+        ...likedIds.filter(id => !queuedLikes.some(entry => entry.payload.whisperId === id)),
+        ...queuedLikes.filter(entry => entry.payload.liked).map(entry => entry.payload.whisperId)
+      ]);
+      setMyReactions(reactions);
+      setReportedWhisperIds([
+        ...reportedIds,
+        ...queuedReports.map(entry => entry.payload.whisperId)
+      ]);
+    } catch (error) {
+      console.error('Load user feedback error:', error);
+    }
+  };
+
+  // Load saved drafts
+  const initializeDrafts = async () => {
+    try {
+      setDrafts(await loadDrafts(AsyncStorage));
+    } catch (error) {
+      console.error('Drafts initialization error:', error);
+    }
+  };
+
+  // Autosave an unfinished whisper: { id, text, mood, lifetime }
+  const saveDraft = async (draft) => {
+    try {
+      setDrafts(await storeDraft(AsyncStorage, draft));
+    } catch (error) {
+      console.error('Save draft error:', error);
+    }
+  };
+
+  const deleteDraft = async (draftId) => {
+    try {
+      setDrafts(await removeDraft(AsyncStorage, draftId));
+    } catch (error) {
+      console.error('Delete draft error:', error);
+    }
+  };
+
+  // Load entries still waiting in the outbox
+  const initializeOutbox = async () => {
+    try {
+      setOutboxEntries(await outbox.load());
+    } catch (error) {
+      console.error('Outbox initialization error:', error);
+    }
+  };
+
+  // Perform one outbox entry against the repository. Proofs and
+  // signatures are made at send time, after any id changes.
+  const sendOutboxEntry = (entry) => {
+    const identity = identityRef.current;
+    const { whisperId } = entry.payload;
+
+    switch (entry.type) {
+      // Posts go out as whoever holds the device identity when they are
+      // sent, so an import that takes over an older identity carries
+      // queued posts across too
+      case 'post':
+        return whisperRepository.postWhisper(
+          signWhisper(identity, { ...entry.payload.whisper, userId: identity.userId })
+        );
+      case 'like':
+        return entry.payload.liked
+          ? whisperRepository.likeWhisper(whisperId, createOwnershipProof(identity, 'like', whisperId))
+          : whisperRepository.unlikeWhisper(whisperId, createOwnershipProof(identity, 'unlike', whisperId));
+      case 'report':
+        return whisperRepository.reportWhisper(
+          whisperId,
+          entry.payload.reason,
+          createOwnershipProof(identity, 'report', whisperId)
+        );
+      default:
+        throw new Error(`Unknown outbox entry type: ${entry.type}`);
+    }
+  };
+
+  // Replace a whisper's id wherever this user's feedback refers to it
+  const renameWhisper = (fromId, toId) => {
+    const rename = id => (id === fromId ? toId : id);
+    setLikedWhisperIds(prev => prev.map(rename));
+    setReportedWhisperIds(prev => prev.map(rename));
+    setMyReactions(prev => {
+      if (!(fromId in prev)) return prev;
+      const { [fromId]: reaction, ...others } = prev;
+      return { ...others, [toId]: reaction };
+    });
+  };
+
+  // Bring state in line with what the backend stored
+  const applySentEntry = ({ entry, result }) => {
+    if (!result) return;
+
+    if (entry.type === 'post' && result.id !== entry.payload.whisper.id) {
+      renameWhisper(entry.payload.whisper.id, result.id);
+    }
+
+    const merge = prev => (
+      entry.type === 'post'
+        ? [result, ...prev.filter(whisper => whisper.id !== result.id)]
+        : prev.map(whisper => (whisper.id === result.id ? { ...whisper, ...result } : whisper))
+    );
+    setWhispers(merge);
+    if (entry.type === 'post') {
+      setMyWhispers(merge);
+    }
+  };
+
+  // Undo the optimistic change for an entry the backend refused. A refused
+  // post goes back to the drafts so the text isn't lost.
+  const revertEntry = ({ entry, error }) => {
+    console.error(`Outbox ${entry.type} refused:`, error);
+
+    if (entry.type === 'like') {
+      applyLike(entry.payload.whisperId, !entry.payload.liked);
+    } else if (entry.type === 'report') {
+      setReportedWhisperIds(prev => prev.filter(id => id !== entry.payload.whisperId));
+    } else if (entry.type === 'post') {
+      const { whisper } = entry.payload;
+      const duration = whisper.expiresAt
+        ? new Date(whisper.expiresAt) - new Date(whisper.timestamp)
+        : null;
+      const lifetime = WHISPER_LIFETIMES.find(option => option.duration === duration);
+      saveDraft({
+        id: whisper.id,
+        text: whisper.text,
+        mood: whisper.mood,
+        lifetime: lifetime ? lifetime.id : DEFAULT_WHISPER_LIFETIME,
+        visibility: 'public'
+      });
+    }
+  };
+
+  // Send everything in the outbox. On a connection failure the rest waits
+  // and the next try is scheduled with backoff; foregrounding the app or
+  // queueing something new also tries again right away.
+  const syncOutbox = async () => {
+    if (!identityRef.current) return;
+    clearTimeout(outboxRetryTimer.current);
+
+    try {
+      const { sent, rejected, remaining, retryIn } = await outbox.flush(sendOutboxEntry);
+      sent.forEach(applySentEntry);
+      rejected.forEach(revertEntry);
+      setOutboxEntries(remaining);
+
+      const refusedPosts = rejected.filter(({ entry }) => entry.type === 'post').length;
+      if (refusedPosts > 0) {
+        Alert.alert(
+          'Whisper Not Posted',
+          refusedPosts === 1
+            ? 'Your whisper couldn\'t be posted. We saved it to your drafts so you can edit it and try again.'
+            : `${refusedPosts} whispers couldn't be posted. We saved them to your drafts so you can edit them and try again.`
+        );
+      }
+
+      if (retryIn) {
+        outboxRetryTimer.current = setTimeout(syncOutbox, retryIn);
       }
+    } catch (error) {
+      console.error('Outbox sync error:', error);
+    }
+  };
+
+  // Queue an entry, show it as pending and try to send it
+  const queueEntry = async (type, payload) => {
+    setOutboxEntries(await outbox.enqueue(type, payload));
+    syncOutbox();
+  };
+
+  // Load whispers waiting to be published
+  const initializeScheduledWhispers = async () => {
+    try {
+      setScheduledWhispers(await loadScheduledWhispers(AsyncStorage));
+    } catch (error) {
+      console.error('Scheduled whispers initialization error:', error);
+    }
+  };
+
+  // Fetch whispers around a point from the repository
+  const refreshWhispers = async (origin = location, radius = locationRadius) => {
+    try {
+      const nearbyWhispers = await whisperRepository.fetchNearby({
+        latitude: origin?.latitude,
+        longitude: origin?.longitude,
+        radius
+      });
+      setWhispers(nearbyWhispers);
     } catch (error) {
       console.error('Load whispers error:', error);
-      setWhispers(MOCK_WHISPERS);
     }
   };
 
@@ -155,15 +534,48 @@ export const AppProvider = ({ children }) => {
           accuracy: Location.Accuracy.Balanced,
         });
         
-        setLocation({
+        const newLocation = {
           latitude: currentLocation.coords.latitude,
           longitude: currentLocation.coords.longitude,
           city: 'Current Location'
-        });
+        };
+        setLocation(newLocation);
+        await watchLocation();
+        return newLocation;
       }
     } catch (error) {
       console.error('Location error:', error);
     }
+    return null;
+  };
+
+  // Keep the viewer's location fresh so distances stay true as they move
+  const watchLocation = async () => {
+    if (locationSubscription.current) return;
+
+    try {
+      locationSubscription.current = await Location.watchPositionAsync(
+        {
+          accuracy: Location.Accuracy.Balanced,
+          distanceInterval: LOCATION_UPDATE_DISTANCE,
+        },
+        (position) => {
+          setLocation(prev => ({
+            ...prev,
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+          }));
+        }
+      );
+    } catch (error) {
+      console.error('Location watch error:', error);
+    }
+  };
+
+  // Stop following the viewer's position
+  const stopWatchingLocation = () => {
+    locationSubscription.current?.remove();
+    locationSubscription.current = null;
   };
 
   // Request location permission
@@ -189,69 +601,613 @@ export const AppProvider = ({ children }) => {
   };
 
   // Add new whisper
-  const addWhisper = async (text, mood) => {
+  const addWhisper = async (text, mood, { lifetime = DEFAULT_WHISPER_LIFETIME } = {}) => {
+    if (!text.trim() || !user) return false;
+
+    try {
+      await publishWhisper({ text, mood, lifetime, location });
+      return true;
+    } catch (error) {
+      console.error('Add whisper error:', error);
+      return false;
+    }
+  };
+
+  // Queue a whisper from the current user for posting. It shows on the
+  // wall as pending until the backend has it. Throws if it can't be queued.
+  // Publishing the same `id` twice only posts it once.
+  const publishWhisper = async ({ id = generateId(), text, mood, lifetime, location: origin }) => {
+    const { duration } = WHISPER_LIFETIMES.find(option => option.id === lifetime)
+      || WHISPER_LIFETIMES.find(option => option.id === DEFAULT_WHISPER_LIFETIME);
+    const timestamp = new Date();
+
+    const newWhisper = {
+      id,
+      text: text.trim(),
+      mood,
+      timestamp,
+      expiresAt: duration ? new Date(timestamp.getTime() + duration) : null,
+      likes: 0,
+      location: origin
+        ? { latitude: origin.latitude, longitude: origin.longitude }
+        : { latitude: 21.1702, longitude: 72.8311 },
+      userId: identityRef.current.userId
+    };
+
+    await queueEntry('post', { whisper: newWhisper });
+    logActivity('post');
+
+    return newWhisper;
+  };
+
+  const initializeJournal = async () => {
+    try {
+      setJournalEntries(await loadJournal(AsyncStorage));
+    } catch (error) {
+      console.error('Journal initialization error:', error);
+    }
+  };
+
+  // Keep a "Just for me" whisper on this device only. It never enters the
+  // feed, the outbox or the repository.
+  const addJournalEntry = async (text, mood) => {
+    if (!text.trim()) return false;
+
+    try {
+      setJournalEntries(await storeJournalEntry(AsyncStorage, {
+        id: generateId(),
+        text: text.trim(),
+        mood,
+        timestamp: new Date().toISOString()
+      }));
+      logActivity('post');
+      return true;
+    } catch (error) {
+      console.error('Add journal entry error:', error);
+      return false;
+    }
+  };
+
+  const deleteJournalEntry = async (entryId) => {
+    try {
+      setJournalEntries(await removeJournalEntry(AsyncStorage, entryId));
+    } catch (error) {
+      console.error('Delete journal entry error:', error);
+    }
+  };
+
+  // Queue a whisper to go up at `publishAt`. Pass the id of an existing
+  // scheduled whisper to edit it; it keeps the place it was written.
+  const scheduleWhisper = async (text, mood, { lifetime = DEFAULT_WHISPER_LIFETIME, publishAt, id } = {}) => {
     if (!text.trim() || !user) return false;
 
     try {
-      const newWhisper = {
-        id: Date.now().toString(),
+      const existing = scheduledWhispers.find(item => item.id === id);
+      const origin = existing ? existing.location : location;
+
+      const scheduled = {
+        id: existing ? existing.id : generateId(),
         text: text.trim(),
         mood,
+        lifetime,
+        publishAt: new Date(publishAt).toISOString(),
+        location: origin
+          ? { latitude: origin.latitude, longitude: origin.longitude }
+          : null,
+        createdAt: existing ? existing.createdAt : new Date().toISOString()
+      };
+
+      setScheduledWhispers(await saveScheduledWhisper(AsyncStorage, scheduled));
+      return true;
+    } catch (error) {
+      console.error('Schedule whisper error:', error);
+      return false;
+    }
+  };
+
+  const cancelScheduledWhisper = async (whisperId) => {
+    try {
+      setScheduledWhispers(await deleteScheduledWhisper(AsyncStorage, whisperId));
+      return true;
+    } catch (error) {
+      console.error('Cancel scheduled whisper error:', error);
+      return false;
+    }
+  };
+
+  // Post every scheduled whisper whose time has come. Storage is the source
+  // of truth so this is safe to call from timers and app-state listeners.
+  // Due whispers move to the outbox, which takes care of sending them.
+  const publishDueWhispers = async () => {
+    if (publishingScheduled.current || !identityRef.current) return;
+    publishingScheduled.current = true;
+
+    try {
+      const { due } = partitionDue(await loadScheduledWhispers(AsyncStorage));
+
+      // A scheduled whisper is posted under its own id, so if the app
+      // stops before it's removed here the next run posts it again harmlessly
+      for (const item of due) {
+        try {
+          await publishWhisper(item);
+          await deleteScheduledWhisper(AsyncStorage, item.id);
+        } catch (error) {
+          console.error('Publish scheduled whisper error:', error);
+        }
+      }
+
+      setScheduledWhispers(await loadScheduledWhispers(AsyncStorage));
+    } catch (error) {
+      console.error('Publish due whispers error:', error);
+    } finally {
+      publishingScheduled.current = false;
+    }
+  };
+
+  // Load the reply thread for a whisper
+  const loadReplies = async (whisperId) => {
+    try {
+      const thread = await whisperRepository.fetchReplies(whisperId);
+      setReplies(prev => ({ ...prev, [whisperId]: thread }));
+      return thread;
+    } catch (error) {
+      console.error('Load replies error:', error);
+      return replies[whisperId] || [];
+    }
+  };
+
+  // Add an anonymous reply to a whisper
+  const addReply = async (whisperId, text) => {
+    if (!text.trim() || !user) return false;
+
+    try {
+      const newReply = {
+        id: generateId(),
+        whisperId,
+        text: text.trim(),
         timestamp: new Date(),
-        likes: 0,
-        location: location || { latitude: 21.1702, longitude: 72.8311 },
-        distance: 0,
         userId: user.id
       };
 
-      const updatedWhispers = [newWhisper, ...whispers];
-      setWhispers(updatedWhispers);
-      
-      // Save to storage
-      await AsyncStorage.setItem('whispers', JSON.stringify(updatedWhispers));
-      
-      // Update user stats
-      const updatedUser = {
-        ...user,
-        totalWhispers: user.totalWhispers + 1
-      };
-      setUser(updatedUser);
-      
+      const storedReply = await whisperRepository.postReply(
+        whisperId,
+        signReply(identityRef.current, newReply)
+      );
+
+      setReplies(prev => ({
+        ...prev,
+        [whisperId]: [...(prev[whisperId] || []), storedReply]
+      }));
+      setWhispers(prev => prev.map(whisper =>
+        whisper.id === whisperId
+          ? { ...whisper, replyCount: (whisper.replyCount || 0) + 1 }
+          : whisper
+      ));
+      logActivity('react');
+
       return true;
     } catch (error) {
-      console.error('Add whisper error:', error);
+      console.error('Add reply error:', error);
       return false;
     }
   };
 
-  // Like a whisper
-  const likeWhisper = async (whisperId) => {
+  // Mark a whisper liked or not in local state
+  const applyLike = (whisperId, liked) => {
+    setLikedWhisperIds(prev => (
+      liked ? [...prev.filter(id => id !== whisperId), whisperId] : prev.filter(id => id !== whisperId)
+    ));
+    setWhispers(prev => prev.map(whisper =>
+      whisper.id === whisperId
+        ? { ...whisper, likes: Math.max(0, (whisper.likes || 0) + (liked ? 1 : -1)) }
+        : whisper
+    ));
+  };
+
+  // Like a whisper, or take the like back if this user already gave one.
+  // The change shows right away and goes out through the outbox. Taps
+  // while the previous one is still being queued are ignored, so a fast
+  // double tap counts once.
+  const toggleLike = async (whisperId) => {
+    if (!user || pendingLikes.current.has(whisperId)) return;
+    pendingLikes.current.add(whisperId);
+
+    const liked = !likedWhisperIds.includes(whisperId);
     try {
-      const updatedWhispers = whispers.map(whisper => 
-        whisper.id === whisperId 
-          ? { ...whisper, likes: whisper.likes + 1 }
-          : whisper
-      );
-      
-      setWhispers(updatedWhispers);
-      await AsyncStorage.setItem('whispers', JSON.stringify(updatedWhispers));
+      applyLike(whisperId, liked);
+      await queueEntry('like', { whisperId, liked });
+      logActivity('react');
     } catch (error) {
       console.error('Like whisper error:', error);
+      applyLike(whisperId, !liked);
+    } finally {
+      pendingLikes.current.delete(whisperId);
+    }
+  };
+
+  // Swap this user's reaction on a whisper in local state
+  const applyReaction = (whisperId, previous, next) => {
+    setMyReactions(prev => {
+      const { [whisperId]: _removed, ...others } = prev;
+      return next ? { ...others, [whisperId]: next } : others;
+    });
+    setWhispers(prev => prev.map(whisper => {
+      if (whisper.id !== whisperId) return whisper;
+
+      const reactions = { ...whisper.reactions };
+      if (previous) reactions[previous] = Math.max(0, (reactions[previous] || 0) - 1);
+      if (next) reactions[next] = (reactions[next] || 0) + 1;
+      return { ...whisper, reactions };
+    }));
+  };
+
+  // React to a whisper. Picking the reaction already given takes it back;
+  // picking another one replaces it.
+  const reactToWhisper = async (whisperId, reaction) => {
+    if (!user || pendingReactions.current.has(whisperId)) return;
+    pendingReactions.current.add(whisperId);
+
+    const previous = myReactions[whisperId] || null;
+    const next = previous === reaction ? null : reaction;
+    try {
+      // Optimistic update, replaced by the repository's copy below
+      applyReaction(whisperId, previous, next);
+      logActivity('react');
+
+      const updatedWhisper = await whisperRepository.reactToWhisper(
+        whisperId,
+        next,
+        createOwnershipProof(identityRef.current, 'react', whisperId)
+      );
+      setWhispers(prev => prev.map(whisper =>
+        whisper.id === whisperId ? { ...whisper, ...updatedWhisper } : whisper
+      ));
+    } catch (error) {
+      console.error('React to whisper error:', error);
+      applyReaction(whisperId, next, previous);
+    } finally {
+      pendingReactions.current.delete(whisperId);
+    }
+  };
+
+  // Report a whisper. It disappears for the reporter right away, and for
+  // everyone once the repository hides it. Reports made offline wait in
+  // the outbox.
+  const reportWhisper = async (whisperId, reason) => {
+    if (!user || reportedWhisperIds.includes(whisperId)) return false;
+
+    setReportedWhisperIds(prev => [...prev, whisperId]);
+    try {
+      await queueEntry('report', { whisperId, reason });
+      return true;
+    } catch (error) {
+      console.error('Report whisper error:', error);
+      setReportedWhisperIds(prev => prev.filter(id => id !== whisperId));
+      return false;
+    }
+  };
+
+  // Load every whisper this user has posted, wherever it is, and note
+  // how their engagement has changed
+  const loadMyWhispers = async () => {
+    const identity = identityRef.current;
+    if (!identity) return [];
+
+    try {
+      const userWhispers = await whisperRepository.fetchUserWhispers(identity.userId);
+      setMyWhispers(userWhispers);
+      setEngagementHistory(await recordEngagement(AsyncStorage, userWhispers));
+      return userWhispers;
+    } catch (error) {
+      console.error('Load my whispers error:', error);
+      return myWhispers;
     }
   };
 
+  // The user's own posted whisper, or null if it isn't theirs to change
+  const findOwnWhisper = (whisperId) => {
+    const whisper = whispers.find(item => item.id === whisperId)
+      || myWhispers.find(item => item.id === whisperId);
+    return whisper && user && whisper.userId === user.id ? whisper : null;
+  };
+
+  // Change the text of one of the user's whispers while the edit window
+  // is open. State only changes once the repository has stored the edit.
+  const editWhisper = async (whisperId, text) => {
+    const whisper = findOwnWhisper(whisperId);
+    if (!whisper || !text.trim() || !isWithinEditWindow(whisper)) return false;
+
+    try {
+      const edited = signWhisper(identityRef.current, {
+        ...whisper,
+        text: text.trim(),
+        editedAt: new Date().toISOString()
+      });
+      const updatedWhisper = await whisperRepository.editWhisper(
+        edited,
+        createOwnershipProof(identityRef.current, 'edit', whisperId)
+      );
+      const merge = prev => prev.map(item =>
+        item.id === whisperId ? { ...item, ...updatedWhisper } : item
+      );
+      setWhispers(merge);
+      setMyWhispers(merge);
+      return true;
+    } catch (error) {
+      console.error('Edit whisper error:', error);
+      return false;
+    }
+  };
+
+  // Delete one of the user's whispers, along with everything attached to
+  // it. State only changes once the repository has deleted it.
+  const deleteWhisper = async (whisperId) => {
+    if (!findOwnWhisper(whisperId)) return false;
+
+    try {
+      await whisperRepository.deleteWhisper(
+        whisperId,
+        createOwnershipProof(identityRef.current, 'delete', whisperId)
+      );
+
+      setWhispers(prev => prev.filter(item => item.id !== whisperId));
+      setMyWhispers(prev => prev.filter(item => item.id !== whisperId));
+      setReplies(prev => {
+        const { [whisperId]: _removed, ...others } = prev;
+        return others;
+      });
+      setLikedWhisperIds(prev => prev.filter(id => id !== whisperId));
+      setMyReactions(prev => {
+        const { [whisperId]: _removed, ...others } = prev;
+        return others;
+      });
+      return true;
+    } catch (error) {
+      console.error('Delete whisper error:', error);
+      return false;
+    }
+  };
+
+  // Delete several of the user's whispers. Returns how many were deleted.
+  const deleteWhispers = async (whisperIds) => {
+    let deleted = 0;
+    for (const whisperId of whisperIds) {
+      if (await deleteWhisper(whisperId)) {
+        deleted += 1;
+      }
+    }
+    return deleted;
+  };
+
+  // Load reported whispers for review
+  const loadModerationQueue = async () => {
+    try {
+      const queue = await whisperRepository.fetchModerationQueue();
+      setModerationQueue(queue);
+      return queue;
+    } catch (error) {
+      console.error('Load moderation queue error:', error);
+      return moderationQueue;
+    }
+  };
+
+  // Settle a queued report: 'dismiss' restores the whisper, 'remove' deletes it
+  const reviewReport = async (whisperId, decision) => {
+    await whisperRepository.reviewReport(whisperId, decision);
+    setModerationQueue(prev => prev.filter(entry => entry.whisper.id !== whisperId));
+    await refreshWhispers();
+  };
+
+  const reportedWhisperSet = useMemo(() => new Set(reportedWhisperIds), [reportedWhisperIds]);
+
+  // Posts still in the outbox show up marked as pending
+  const pendingWhispers = useMemo(() => (
+    outboxEntries
+      .filter(entry => entry.type === 'post')
+      .map(entry => ({ ...entry.payload.whisper, pending: true }))
+  ), [outboxEntries]);
+
+  // The wall as this viewer sees it: without hidden whispers or ones
+  // they reported
+  const visibleWhispers = useMemo(() => (
+    [...pendingWhispers, ...whispers]
+      .filter(whisper => !whisper.hidden && !reportedWhisperSet.has(whisper.id))
+  ), [pendingWhispers, whispers, reportedWhisperSet]);
+
+  // The user's history, including posts still waiting to be sent
+  const myWhisperHistory = useMemo(() => (
+    [...pendingWhispers, ...myWhispers]
+  ), [pendingWhispers, myWhispers]);
+
+  const likedWhisperSet = useMemo(() => new Set(likedWhisperIds), [likedWhisperIds]);
+
+  // A whisper with the viewer's own like and reaction, and whether the
+  // viewer wrote it
+  const decorateWhisper = (whisper, distance) => ({
+    ...whisper,
+    distance,
+    liked: likedWhisperSet.has(whisper.id),
+    myReaction: myReactions[whisper.id] || null,
+    isMine: !!user && whisper.userId === user.id
+  });
+
+  // Every visible whisper, decorated, with its distance from the viewer.
+  // Recomputed as they move.
+  const whispersWithDistance = useMemo(() => (
+    visibleWhispers.map(whisper => decorateWhisper(whisper, getWhisperDistance(location, whisper)))
+  ), [visibleWhispers, location, likedWhisperSet, myReactions, user]);
+
+  // Spatial index over the wall, rebuilt only when the whispers change
+  const whisperIndex = useMemo(() => createSpatialIndex(visibleWhispers), [visibleWhispers]);
+
+  // Whispers within `radius` meters of the viewer, closest first.
+  // Without a known location every whisper is returned.
+  const getNearbyWhispers = (radius = locationRadius) => {
+    if (!location) {
+      return [...whispersWithDistance];
+    }
+
+    return whisperIndex
+      .queryRadius(location, radius)
+      .map(({ item, distance }) => decorateWhisper(item, distance))
+      .sort((a, b) => a.distance - b.distance);
+  };
+
   // Get filtered whispers based on mood and location
   const getFilteredWhispers = () => {
-    return whispers
+    return getNearbyWhispers()
       .filter(whisper => whisper.mood === selectedMood)
-      .filter(whisper => whisper.distance <= locationRadius)
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   };
 
+  // Build a portable archive of everything this user created
+  // Build an export of this user's data. With a passphrase the identity
+  // goes along sealed, so an import elsewhere can take the whispers over.
+  const exportUserData = async (passphrase = null) => {
+    if (!user) {
+      throw new Error('No user to export');
+    }
+
+    const userWhispers = await whisperRepository.fetchUserWhispers(user.id);
+    const sealedIdentity = passphrase ? await sealIdentity(identityRef.current, passphrase) : null;
+    return buildExport({ user, whispers: userWhispers, preferences, likedWhisperIds, sealedIdentity });
+  };
+
+  // Take over an older identity. Whispers this device already posted are
+  // re-posted under it, each copy before its original is deleted, so a
+  // failure part way leaves duplicates rather than losing anything.
+  const adoptIdentity = async (next) => {
+    const previous = identityRef.current;
+    const posted = await whisperRepository.fetchUserWhispers(previous.userId);
+
+    for (const whisper of posted.filter(item => !isWhisperExpired(item))) {
+      await whisperRepository.postWhisper(signWhisper(next, {
+        id: generateId(),
+        text: whisper.text,
+        mood: whisper.mood,
+        timestamp: whisper.timestamp,
+        expiresAt: whisper.expiresAt || null,
+        likes: 0,
+        location: whisper.location,
+        userId: next.userId
+      }));
+      await whisperRepository.deleteWhisper(
+        whisper.id,
+        createOwnershipProof(previous, 'delete', whisper.id)
+      );
+    }
+
+    await saveIdentity(next);
+    identityRef.current = next;
+    setUser(prev => ({ ...prev, id: next.userId }));
+    await loadUserFeedback(next.userId);
+  };
+
+  // Restore a validated export and add back any whispers the repository
+  // no longer has. `archivedIdentity` is the archive's identity unlocked
+  // with its passphrase (see unlockArchiveIdentity); without it nothing
+  // proves the archive belongs to whoever imports it (user ids are
+  // public), so restored whispers are re-signed by this device and
+  // copies still stored under the old id stay with the old key.
+  const importUserData = async (archive, archivedIdentity = null) => {
+    if (archivedIdentity && archivedIdentity.userId !== identityRef.current.userId) {
+      await adoptIdentity(archivedIdentity);
+    }
+
+    const identity = identityRef.current;
+    const [archivedWhispers, ownWhispers] = await Promise.all([
+      whisperRepository.fetchUserWhispers(archive.user.id),
+      whisperRepository.fetchUserWhispers(identity.userId)
+    ]);
+    const whispersToRestore = getWhispersToRestore(
+      archive,
+      [...archivedWhispers, ...ownWhispers],
+      identity.userId
+    );
+
+    for (const whisper of whispersToRestore) {
+      await whisperRepository.postWhisper(signWhisper(identity, whisper));
+    }
+
+    // Membership counts from the earlier of the two
+    const createdAt = new Date(Math.min(
+      new Date(archive.user.createdAt).getTime(),
+      new Date(user?.createdAt || Date.now()).getTime()
+    ));
+    await saveMemberSince(AsyncStorage, createdAt);
+    setUser(prev => ({ ...prev, createdAt }));
+
+    await refreshWhispers();
+    await loadMyWhispers();
+
+    return {
+      restored: whispersToRestore.length,
+      skipped: archive.whispers.length - whispersToRestore.length,
+      adopted: identity.userId === archive.user.id
+    };
+  };
+
+  // Delete everything this user created and start over as a new user.
+  // The backend is asked first so a failure leaves the identity intact.
+  const clearAllData = async () => {
+    if (user) {
+      await whisperRepository.deleteUserWhispers(
+        user.id,
+        createOwnershipProof(identityRef.current, 'delete-all', user.id)
+      );
+    }
+
+    await AsyncStorage.multiRemove(Object.values(STORAGE_KEYS));
+    await deleteIdentity();
+    identityRef.current = null;
+
+    stopWatchingLocation();
+    setLoading(true);
+    setUser(null);
+    setLocation(null);
+    setWhispers([]);
+    setReplies({});
+    setDrafts([]);
+    setScheduledWhispers([]);
+    setOutboxEntries([]);
+    setMyWhispers([]);
+    setEngagementHistory({});
+    setJournalEntries([]);
+    setActivityLog({});
+    clearTimeout(outboxRetryTimer.current);
+    setLikedWhisperIds([]);
+    setMyReactions({});
+    setReportedWhisperIds([]);
+    setModerationQueue([]);
+    setPreferences(DEFAULT_PREFERENCES);
+
+    // Re-run startup, which lands on onboarding as a first launch
+    await initializeApp();
+  };
+
+  // Merge changes into the persisted preferences
+  const updatePreferences = (changes) => {
+    setPreferences(prev => ({ ...prev, ...changes }));
+  };
+
   // Update location radius
   const updateLocationRadius = async (newRadius) => {
-    setLocationRadius(newRadius);
-    await AsyncStorage.setItem('locationRadius', newRadius.toString());
+    updatePreferences({ locationRadius: newRadius });
+  };
+
+  // Turn automatic location detection on or off
+  const updateAutoLocation = async (enabled) => {
+    updatePreferences({ autoLocation: enabled });
+    if (enabled) {
+      await getCurrentLocation();
+    } else {
+      stopWatchingLocation();
+    }
+  };
+
+  // Remember the last mood the user picked
+  const setSelectedMood = (mood) => {
+    updatePreferences({ selectedMood: mood });
   };
 
   // Context value
@@ -259,18 +1215,50 @@ export const AppProvider = ({ children }) => {
     // State
     user,
     location,
-    whispers,
+    whispers: whispersWithDistance,
+    replies,
+    drafts,
+    scheduledWhispers,
+    journalEntries,
+    myWhispers: myWhisperHistory,
+    engagementHistory,
+    activityLog,
+    moderationQueue,
     selectedMood,
     loading,
     locationRadius,
+    preferences,
     isFirstLaunch,
     
     // Actions
     setSelectedMood,
     setLocationRadius: updateLocationRadius,
+    updatePreferences,
+    setAutoLocation: updateAutoLocation,
     addWhisper,
-    likeWhisper,
+    saveDraft,
+    deleteDraft,
+    scheduleWhisper,
+    addJournalEntry,
+    deleteJournalEntry,
+    cancelScheduledWhisper,
+    toggleLike,
+    reactToWhisper,
+    reportWhisper,
+    editWhisper,
+    deleteWhisper,
+    deleteWhispers,
+    loadMyWhispers,
+    loadModerationQueue,
+    reviewReport,
+    loadReplies,
+    addReply,
     getFilteredWhispers,
+    getNearbyWhispers,
+    refreshWhispers,
+    exportUserData,
+    importUserData,
+    clearAllData,
     requestLocationPermission,
     getCurrentLocation,
     setIsFirstLaunch
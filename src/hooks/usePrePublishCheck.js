@@ -0,0 +1,116 @@
+// src/hooks/usePrePublishCheck.js
+import { useState, useRef, useCallback } from 'react';
+import { Alert } from 'react-native';
+import { moderateText } from '../services/moderation';
+import { PII_TYPES, scanForPII, redactPII } from '../services/piiScanner';
+import { detectCrisis } from '../services/crisisDetection';
+
+// The checks every whisper goes through before anyone else can read it,
+// whether it is new or an edit. In order:
+//   - crisis language offers support first (the writer can carry on)
+//   - blocked language can't be shared
+//   - someone else's contact details can't be shared
+//   - warn-tier language asks for a second thought
+//   - the writer's own details come with an offer to redact them
+// The caller shows SupportResourcesModal while `supportVisible` is set and
+// calls `continueAfterSupport` if the writer still wants to share.
+const usePrePublishCheck = () => {
+  const [supportVisible, setSupportVisible] = useState(false);
+  const afterSupport = useRef(null);
+
+  // `onPass` runs once the text is cleared to go out. `onRedact` receives
+  // the text with personal details replaced and `onRejected` is called
+  // when the writer has to change something. Private text skips the
+  // community checks.
+  const runChecks = useCallback((text, {
+    confirmLabel,
+    isPrivate = false,
+    onPass,
+    onRedact,
+    onRejected = () => {}
+  }) => {
+    const check = ({ supported = false, confirmed = false, allowPersonalInfo = false } = {}) => {
+      if (!supported && detectCrisis(text).isCrisis) {
+        afterSupport.current = () => check({ supported: true, confirmed, allowPersonalInfo });
+        setSupportVisible(true);
+        return;
+      }
+
+      if (isPrivate) {
+        onPass();
+        return;
+      }
+
+      const { action } = moderateText(text);
+      if (action === 'block') {
+        Alert.alert(
+          'Content Guidelines',
+          'Your whisper contains content that goes against our community guidelines. Please revise it to create a positive space for everyone.',
+          [{ text: 'Edit Whisper' }]
+        );
+        onRejected();
+        return;
+      }
+
+      const personalInfo = scanForPII(text);
+      if (personalInfo.some(span => span.belongsToOther)) {
+        Alert.alert(
+          'Protect Their Privacy',
+          'Your whisper seems to include someone else\'s contact details. Please remove them before sharing.',
+          [
+            { text: 'Edit Whisper', style: 'cancel' },
+            { text: 'Remove Them', onPress: () => onRedact(redactPII(text, personalInfo)) }
+          ]
+        );
+        onRejected();
+        return;
+      }
+
+      if (action === 'warn' && !confirmed) {
+        Alert.alert(
+          'Before You Share',
+          'Your whisper may come across as hurtful. Would you like to revise it?',
+          [
+            { text: 'Edit Whisper', style: 'cancel' },
+            { text: confirmLabel, onPress: () => check({ supported, confirmed: true, allowPersonalInfo }) }
+          ]
+        );
+        return;
+      }
+
+      if (personalInfo.length > 0 && !allowPersonalInfo) {
+        const infoTypes = [...new Set(personalInfo.map(span => PII_TYPES[span.type].name))];
+        Alert.alert(
+          'Stay Anonymous?',
+          `Your whisper includes a ${infoTypes.join(', ')}. Anyone nearby could see it.`,
+          [
+            { text: 'Redact', onPress: () => onRedact(redactPII(text, personalInfo)) },
+            { text: 'Edit Whisper', style: 'cancel' },
+            { text: confirmLabel, onPress: () => check({ supported, confirmed: true, allowPersonalInfo: true }) }
+          ]
+        );
+        return;
+      }
+
+      onPass();
+    };
+
+    check();
+  }, []);
+
+  const continueAfterSupport = useCallback(() => {
+    setSupportVisible(false);
+    const next = afterSupport.current;
+    afterSupport.current = null;
+    next && next();
+  }, []);
+
+  const closeSupport = useCallback(() => {
+    setSupportVisible(false);
+    afterSupport.current = null;
+  }, []);
+
+  return { runChecks, supportVisible, continueAfterSupport, closeSupport };
+};
+
+export default usePrePublishCheck;
@@ -0,0 +1,50 @@
+// src/hooks/useWhisperActions.js
+import { useCallback } from 'react';
+import { Alert } from 'react-native';
+import { useApp } from '../context/AppContext';
+
+// Report and delete handlers for screens that show WhisperCards. The
+// optional `onGone` runs once the whisper is out of sight (reported or
+// deleted), e.g. to leave a screen that only showed that whisper.
+const useWhisperActions = ({ onGone } = {}) => {
+  const { reportWhisper, deleteWhisper } = useApp();
+
+  const handleReportWhisper = useCallback(async (whisperId, reason) => {
+    const reported = await reportWhisper(whisperId, reason);
+    if (reported) {
+      Alert.alert(
+        'Thanks for Reporting',
+        'This whisper is now hidden for you. Whispers reported by several people are hidden for everyone.',
+        [{ text: 'OK', onPress: onGone }]
+      );
+    } else {
+      Alert.alert('Report Failed', 'Unable to send your report. Please try again.');
+    }
+  }, [reportWhisper, onGone]);
+
+  const handleDeleteWhisper = useCallback((whisperId) => {
+    Alert.alert(
+      'Delete Whisper?',
+      'It will be removed from the wall along with its replies. This can\'t be undone.',
+      [
+        { text: 'Keep It', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const deleted = await deleteWhisper(whisperId);
+            if (!deleted) {
+              Alert.alert('Delete Failed', 'Unable to delete your whisper. Please try again.');
+            } else if (onGone) {
+              onGone();
+            }
+          }
+        }
+      ]
+    );
+  }, [deleteWhisper, onGone]);
+
+  return { handleReportWhisper, handleDeleteWhisper };
+};
+
+export default useWhisperActions;
@@ -18,6 +18,9 @@ import AddWhisperScreen from '../screens/AddWhisperScreen';
 import SettingsScreen from '../screens/SettingsScreen';
 import NotificationsScreen from '../screens/NotificationsScreen';
 import AboutScreen from '../screens/AboutScreen';
+import WhisperDetailScreen from '../screens/WhisperDetailScreen';
+import MyWhispersScreen from '../screens/MyWhispersScreen';
+import JournalScreen from '../screens/JournalScreen';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -75,6 +78,7 @@ const HomeStack = () => (
       }}
     />
     <Stack.Screen name="Notifications" component={NotificationsScreen} />
+    <Stack.Screen name="WhisperDetail" component={WhisperDetailScreen} />
   </Stack.Navigator>
 );
 
@@ -97,6 +101,8 @@ const ProfileStack = () => (
     }}
   >
     <Stack.Screen name="ProfileMain" component={ProfileScreen} />
+    <Stack.Screen name="MyWhispers" component={MyWhispersScreen} />
+    <Stack.Screen name="Journal" component={JournalScreen} />
     <Stack.Screen name="Settings" component={SettingsScreen} />
     <Stack.Screen name="About" component={AboutScreen} />
   </Stack.Navigator>
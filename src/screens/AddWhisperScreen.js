@@ -18,23 +18,80 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useApp } from '../context/AppContext';
-import { COLORS, SIZES, SHADOWS } from '../constants/theme';
-import { validateWhisperText, containsBadWords } from '../utils/helpers';
+import {
+  COLORS,
+  SIZES,
+  SHADOWS,
+  WHISPER_LIFETIMES,
+  DEFAULT_WHISPER_LIFETIME,
+  SCHEDULE_OPTIONS,
+  WHISPER_VISIBILITIES
+} from '../constants/theme';
+import {
+  validateWhisperText,
+  debounce,
+  generateId,
+  getScheduledTime,
+  formatScheduledTime
+} from '../utils/helpers';
+import { PII_TYPES, scanForPII, redactPII, splitByPII } from '../services/piiScanner';
+import usePrePublishCheck from '../hooks/usePrePublishCheck';
 import MoodSelector from '../components/MoodSelector';
+import SupportResourcesModal from '../components/SupportResourcesModal';
+import DraftsModal from '../components/DraftsModal';
 
 const { width, height } = Dimensions.get('window');
 const MAX_CHAR_LIMIT = 400;
 const WARNING_THRESHOLD = 350;
 const DANGER_THRESHOLD = 380;
 
-const AddWhisperScreen = ({ navigation }) => {
-  const { selectedMood, addWhisper, location } = useApp();
-  const [text, setText] = useState('');
-  const [currentMood, setCurrentMood] = useState(selectedMood);
+// Wait this long after the last keystroke before saving the draft
+const AUTOSAVE_DELAY = 800;
+
+// Schedule choice that keeps an edited whisper's original time
+const KEEP_SCHEDULE = 'keep';
+
+// Drafts from before visibility was saved might be journal entries, so
+// they reopen as private rather than risk posting them
+const draftVisibility = (draft) => draft.visibility || 'private';
+
+const AddWhisperScreen = ({ navigation, route }) => {
+  const {
+    selectedMood,
+    addWhisper,
+    location,
+    drafts,
+    saveDraft,
+    deleteDraft,
+    scheduledWhispers,
+    scheduleWhisper,
+    cancelScheduledWhisper,
+    addJournalEntry
+  } = useApp();
+
+  // Opened from Profile to edit a scheduled whisper, or else reopen the
+  // most recent draft, if there is one
+  const [editingScheduled, setEditingScheduled] = useState(() => (
+    scheduledWhispers.find(item => item.id === route?.params?.scheduledId) || null
+  ));
+  const [restoredDraft] = useState(() => (editingScheduled ? null : drafts[0] || null));
+  const initial = editingScheduled || restoredDraft;
+
+  const [draftId, setDraftId] = useState(() => restoredDraft?.id || generateId());
+  const [text, setText] = useState(initial?.text || '');
+  const [currentMood, setCurrentMood] = useState(initial?.mood || selectedMood);
+  const [lifetime, setLifetime] = useState(initial?.lifetime || DEFAULT_WHISPER_LIFETIME);
+  const [schedule, setSchedule] = useState(editingScheduled ? KEEP_SCHEDULE : 'now');
+  const [visibility, setVisibility] = useState(() => {
+    if (route?.params?.visibility === 'private') return 'private';
+    return restoredDraft ? draftVisibility(restoredDraft) : 'public';
+  });
+  const [draftsVisible, setDraftsVisible] = useState(false);
   const [isPosting, setIsPosting] = useState(false);
   const [keyboardVisible, setKeyboardVisible] = useState(false);
   const [validationError, setValidationError] = useState('');
   const [focusedInput, setFocusedInput] = useState(false);
+  const { runChecks, supportVisible, continueAfterSupport, closeSupport } = usePrePublishCheck();
   
   const textInputRef = useRef(null);
   const shakeAnimation = useRef(new Animated.Value(0)).current;
@@ -73,6 +130,54 @@ const AddWhisperScreen = ({ navigation }) => {
     };
   }, [text]);
 
+  // Autosave the draft as the user writes. Clearing the text drops it.
+  const autosave = useMemo(() => debounce(saveDraft, AUTOSAVE_DELAY), []);
+
+  useEffect(() => {
+    if (isPosting || editingScheduled) return;
+
+    if (text.trim()) {
+      autosave({ id: draftId, text, mood: currentMood, lifetime, visibility });
+    } else {
+      autosave.cancel();
+      if (drafts.some(draft => draft.id === draftId)) {
+        deleteDraft(draftId);
+      }
+    }
+  }, [text, currentMood, lifetime, visibility, draftId]);
+
+  // Drafts other than the one being edited
+  const otherDrafts = useMemo(
+    () => drafts.filter(draft => draft.id !== draftId),
+    [drafts, draftId]
+  );
+
+  const handleOpenDraft = useCallback((draft) => {
+    // Save what's in the composer now before switching
+    autosave.cancel();
+    if (text.trim()) {
+      saveDraft({ id: draftId, text, mood: currentMood, lifetime, visibility });
+    }
+
+    setDraftId(draft.id);
+    setText(draft.text);
+    setCurrentMood(draft.mood || selectedMood);
+    setLifetime(draft.lifetime || DEFAULT_WHISPER_LIFETIME);
+    setVisibility(draftVisibility(draft));
+    setValidationError('');
+    setDraftsVisible(false);
+  }, [autosave, text, draftId, currentMood, lifetime, visibility, selectedMood, saveDraft]);
+
+  // Personal details in the draft, re-scanned as the user types
+  const personalInfo = useMemo(() => scanForPII(text), [text]);
+  const personalInfoTypes = useMemo(() => (
+    [...new Set(personalInfo.map(span => PII_TYPES[span.type].name))]
+  ), [personalInfo]);
+
+  const handleRedact = useCallback(() => {
+    setText(redactPII(text, personalInfo));
+  }, [text, personalInfo]);
+
   const isValidToPost = useMemo(() => {
     return text.trim().length >= 10 && 
            text.length <= MAX_CHAR_LIMIT && 
@@ -155,56 +260,115 @@ const AddWhisperScreen = ({ navigation }) => {
     }
   }, [shakeInput]);
 
+  // Unfinished whispers are kept as drafts, so closing never loses text
   const handleClose = useCallback(() => {
-    if (text.trim().length > 0) {
+    autosave.cancel();
+    if (editingScheduled) {
+      if (text === editingScheduled.text) {
+        navigation.goBack();
+        return;
+      }
+
       Alert.alert(
-        'Discard Whisper?',
-        'Your whisper will be lost. Are you sure you want to go back?',
+        'Discard Changes?',
+        'Your scheduled whisper will keep its original text.',
         [
-          { text: 'Keep Writing', style: 'cancel' },
-          {
-            text: 'Discard',
-            style: 'destructive',
-            onPress: () => {
-              Animated.timing(fadeAnimation, {
-                toValue: 0,
-                duration: 200,
-                useNativeDriver: true,
-              }).start(() => navigation.goBack());
-            },
-          },
+          { text: 'Keep Editing', style: 'cancel' },
+          { text: 'Discard', style: 'destructive', onPress: () => navigation.goBack() }
         ]
       );
+    } else if (text.trim().length > 0) {
+      saveDraft({ id: draftId, text, mood: currentMood, lifetime, visibility });
+      Animated.timing(fadeAnimation, {
+        toValue: 0,
+        duration: 200,
+        useNativeDriver: true,
+      }).start(() => navigation.goBack());
     } else {
       navigation.goBack();
     }
-  }, [text, navigation, fadeAnimation]);
+  }, [autosave, editingScheduled, text, draftId, currentMood, lifetime, visibility, saveDraft, navigation, fadeAnimation]);
 
-  const handlePost = useCallback(async () => {
-    setValidationError('');
+  // Schedule choices; an edited whisper can also keep its current time
+  const scheduleOptions = useMemo(() => (
+    editingScheduled
+      ? [
+        {
+          id: KEEP_SCHEDULE,
+          name: formatScheduledTime(editingScheduled.publishAt),
+          emoji: '⏰'
+        },
+        ...SCHEDULE_OPTIONS
+      ]
+      : SCHEDULE_OPTIONS
+  ), [editingScheduled]);
 
-    // Comprehensive validation
-    const validation = validateWhisperText(text);
-    if (!validation.isValid) {
-      setValidationError(validation.errors[0]);
-      shakeInput();
+  // Queue the whisper instead of posting it now
+  const handleSchedule = useCallback(async () => {
+    const publishAt = schedule === KEEP_SCHEDULE
+      ? new Date(editingScheduled.publishAt)
+      : getScheduledTime(SCHEDULE_OPTIONS.find(option => option.id === schedule));
+
+    setIsPosting(true);
+    const success = await scheduleWhisper(text.trim(), currentMood, {
+      lifetime,
+      publishAt,
+      id: editingScheduled?.id
+    });
+
+    if (!success) {
+      Alert.alert(
+        'Something Went Wrong',
+        'We couldn\'t schedule your whisper. Please try again.',
+        [{ text: 'OK' }]
+      );
+      setIsPosting(false);
       return;
     }
 
-    // Content moderation
-    if (containsBadWords(text)) {
+    if (!editingScheduled) {
+      autosave.cancel();
+      deleteDraft(draftId);
+    }
+
+    Alert.alert(
+      'Whisper Scheduled ⏰',
+      `Your whisper will appear on the wall ${formatScheduledTime(publishAt)}. You can edit or cancel it from your profile.`,
+      [{ text: 'Done', onPress: () => navigation.goBack() }]
+    );
+  }, [schedule, editingScheduled, scheduleWhisper, text, currentMood, lifetime, autosave, deleteDraft, draftId, navigation]);
+
+  const isPrivate = visibility === 'private';
+
+  // Keep the whisper in the on-device journal instead of posting it
+  const handleSaveToJournal = useCallback(async () => {
+    setIsPosting(true);
+    const success = await addJournalEntry(text.trim(), currentMood);
+
+    if (!success) {
       Alert.alert(
-        'Content Guidelines',
-        'Your whisper contains content that goes against our community guidelines. Please revise it to create a positive space for everyone.',
-        [{ text: 'Edit Whisper' }]
+        'Something Went Wrong',
+        'We couldn\'t save your whisper on this device. Please try again.',
+        [{ text: 'OK' }]
       );
-      shakeInput();
+      setIsPosting(false);
       return;
     }
 
-    if (!currentMood) {
-      setValidationError('Please select a mood that represents your whisper.');
-      shakeInput();
+    autosave.cancel();
+    deleteDraft(draftId);
+
+    Alert.alert(
+      'Saved for You 🔒',
+      'Only you can see this whisper. Find it in your journal on the Profile tab.',
+      [{ text: 'Done', onPress: () => navigation.goBack() }]
+    );
+  }, [addJournalEntry, text, currentMood, autosave, deleteDraft, draftId, navigation]);
+
+  // Post now, or queue for later when a schedule is picked
+  const publish = useCallback(async () => {
+    if (schedule !== 'now') {
+      handleSchedule();
       return;
     }
 
@@ -218,9 +382,16 @@ const AddWhisperScreen = ({ navigation }) => {
     }
     
     try {
-      const success = await addWhisper(text.trim(), currentMood);
+      const success = await addWhisper(text.trim(), currentMood, { lifetime });
       
       if (success) {
+        // The draft has been shared, or the scheduled whisper posted early
+        autosave.cancel();
+        deleteDraft(draftId);
+        if (editingScheduled) {
+          cancelScheduledWhisper(editingScheduled.id);
+        }
+
         // Success animation
         Animated.sequence([
           Animated.timing(fadeAnimation, {
@@ -237,13 +408,17 @@ const AddWhisperScreen = ({ navigation }) => {
 
         Alert.alert(
           'Whisper Shared! ✨',
-          'Your anonymous whisper is now part of the community conversation.',
+          'Your anonymous whisper is on its way to the wall. If you\'re offline, it will be sent as soon as you\'re back.',
           [
             {
               text: 'Share Another',
               onPress: () => {
+                setEditingScheduled(null);
+                setSchedule('now');
+                setDraftId(generateId());
                 setText('');
                 setCurrentMood(selectedMood);
+                setLifetime(DEFAULT_WHISPER_LIFETIME);
                 setIsPosting(false);
                 // Reset animations
                 fadeAnimation.setValue(1);
@@ -265,12 +440,40 @@ const AddWhisperScreen = ({ navigation }) => {
       console.error('Post whisper error:', error);
       Alert.alert(
         'Something Went Wrong',
-        'We couldn\'t share your whisper right now. Please check your connection and try again.',
+        'We couldn\'t save your whisper on this device. Please try again.',
         [{ text: 'Retry', onPress: () => setIsPosting(false) }]
       );
       setIsPosting(false);
     }
-  }, [text, currentMood, addWhisper, navigation, selectedMood, shakeInput, fadeAnimation, slideAnimation]);
+  }, [text, currentMood, lifetime, addWhisper, navigation, selectedMood, fadeAnimation, slideAnimation, autosave, draftId, deleteDraft, schedule, handleSchedule, editingScheduled, cancelScheduledWhisper]);
+
+  const handlePost = useCallback(() => {
+    setValidationError('');
+
+    // Comprehensive validation
+    const validation = validateWhisperText(text);
+    if (!validation.isValid) {
+      setValidationError(validation.errors[0]);
+      shakeInput();
+      return;
+    }
+
+    if (!currentMood) {
+      setValidationError('Please select a mood that represents your whisper.');
+      shakeInput();
+      return;
+    }
+
+    // Nobody else will read a journal entry, so it only gets the support
+    // check, not the community ones
+    runChecks(text, {
+      confirmLabel: 'Post Anyway',
+      isPrivate,
+      onPass: isPrivate ? handleSaveToJournal : publish,
+      onRedact: setText,
+      onRejected: shakeInput
+    });
+  }, [text, currentMood, isPrivate, runChecks, handleSaveToJournal, publish, shakeInput]);
 
   const guidelines = useMemo(() => [
     { icon: '🤝', text: 'Be kind and respectful to everyone' },
@@ -299,8 +502,14 @@ const AddWhisperScreen = ({ navigation }) => {
         </TouchableOpacity>
         
         <View style={styles.headerTitleContainer}>
-          <Text style={styles.headerTitle}>New Whisper</Text>
-          <Text style={styles.headerSubtitle}>Share anonymously</Text>
+          <Text style={styles.headerTitle}>
+            {editingScheduled ? 'Edit Whisper' : 'New Whisper'}
+          </Text>
+          <Text style={styles.headerSubtitle}>
+            {editingScheduled
+              ? 'Scheduled'
+              : restoredDraft ? 'Draft restored' : 'Share anonymously'}
+          </Text>
         </View>
         
         <TouchableOpacity
@@ -308,7 +517,7 @@ const AddWhisperScreen = ({ navigation }) => {
             styles.postButton,
             !isValidToPost && styles.disabledPostButton
           ]}
-          onPress={handlePost}
+          onPress={() => handlePost()}
           disabled={!isValidToPost}
           activeOpacity={0.8}
         >
@@ -319,13 +528,13 @@ const AddWhisperScreen = ({ navigation }) => {
               styles.postButtonText,
               !isValidToPost && styles.disabledPostButtonText
             ]}>
-              Post
+              {isPrivate ? 'Save' : schedule === 'now' ? 'Post' : 'Schedule'}
             </Text>
           )}
         </TouchableOpacity>
       </View>
     </Animated.View>
-  ), [fadeAnimation, handleClose, isValidToPost, handlePost, isPosting]);
+  ), [fadeAnimation, handleClose, isValidToPost, handlePost, isPosting, restoredDraft, editingScheduled, schedule, isPrivate]);
 
   // Location info component
   const LocationInfo = useCallback(() => (
@@ -395,9 +604,104 @@ const AddWhisperScreen = ({ navigation }) => {
             </View>
           )}
 
+          {/* Visibility Selection; scheduled whispers are always shared */}
+          {!keyboardVisible && !editingScheduled && (
+            <View style={styles.moodSection}>
+              <Text style={styles.sectionTitle}>Who Can See It</Text>
+              <View style={styles.lifetimeOptions}>
+                {WHISPER_VISIBILITIES.map(option => (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[
+                      styles.lifetimeOption,
+                      visibility === option.id && styles.selectedLifetimeOption
+                    ]}
+                    onPress={() => setVisibility(option.id)}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.lifetimeEmoji}>{option.emoji}</Text>
+                    <Text style={[
+                      styles.lifetimeText,
+                      visibility === option.id && styles.selectedLifetimeText
+                    ]}>
+                      {option.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
+
+          {/* Lifetime Selection */}
+          {!keyboardVisible && !isPrivate && (
+            <View style={styles.moodSection}>
+              <Text style={styles.sectionTitle}>Fades After</Text>
+              <View style={styles.lifetimeOptions}>
+                {WHISPER_LIFETIMES.map(option => (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[
+                      styles.lifetimeOption,
+                      lifetime === option.id && styles.selectedLifetimeOption
+                    ]}
+                    onPress={() => setLifetime(option.id)}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.lifetimeEmoji}>{option.emoji}</Text>
+                    <Text style={[
+                      styles.lifetimeText,
+                      lifetime === option.id && styles.selectedLifetimeText
+                    ]}>
+                      {option.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
+
+          {/* Schedule Selection */}
+          {!keyboardVisible && !isPrivate && (
+            <View style={styles.moodSection}>
+              <Text style={styles.sectionTitle}>Goes Up</Text>
+              <View style={styles.lifetimeOptions}>
+                {scheduleOptions.map(option => (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[
+                      styles.lifetimeOption,
+                      schedule === option.id && styles.selectedLifetimeOption
+                    ]}
+                    onPress={() => setSchedule(option.id)}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.lifetimeEmoji}>{option.emoji}</Text>
+                    <Text style={[
+                      styles.lifetimeText,
+                      schedule === option.id && styles.selectedLifetimeText
+                    ]}>
+                      {option.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
+
           {/* Text Input Section */}
           <View style={styles.inputSection}>
-            <Text style={styles.sectionTitle}>Your Whisper</Text>
+            <View style={styles.inputSectionHeader}>
+              <Text style={styles.sectionTitle}>Your Whisper</Text>
+              {!editingScheduled && otherDrafts.length > 0 && (
+                <TouchableOpacity
+                  style={styles.draftsButton}
+                  onPress={() => setDraftsVisible(true)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.draftsButtonText}>📝 Drafts ({otherDrafts.length})</Text>
+                </TouchableOpacity>
+              )}
+            </View>
             <Animated.View 
               style={[
                 styles.inputContainer,
@@ -413,7 +717,6 @@ const AddWhisperScreen = ({ navigation }) => {
                 placeholderTextColor={COLORS.textMuted}
                 multiline
                 maxLength={MAX_CHAR_LIMIT + 50}
-                value={text}
                 onChangeText={handleTextChange}
                 onFocus={() => setFocusedInput(true)}
                 onBlur={() => setFocusedInput(false)}
@@ -422,7 +725,20 @@ const AddWhisperScreen = ({ navigation }) => {
                 autoCapitalize="sentences"
                 scrollEnabled
                 returnKeyType="default"
-              />
+              >
+                {/* Text is rendered as children so personal details can be
+                    highlighted right in the input */}
+                <Text>
+                  {splitByPII(text, personalInfo).map((segment, index) => (
+                    <Text
+                      key={index}
+                      style={segment.pii && styles.personalInfoHighlight}
+                    >
+                      {segment.text}
+                    </Text>
+                  ))}
+                </Text>
+              </TextInput>
               
               {/* Enhanced character counter */}
               <View style={styles.inputFooter}>
@@ -459,6 +775,23 @@ const AddWhisperScreen = ({ navigation }) => {
               </View>
             </Animated.View>
 
+            {/* Personal info notice */}
+            {personalInfo.length > 0 && (
+              <View style={styles.personalInfoContainer}>
+                <Text style={styles.errorIcon}>🔒</Text>
+                <Text style={styles.personalInfoText}>
+                  Highlighted: {personalInfoTypes.join(', ')}. This could reveal who you or others are.
+                </Text>
+                <TouchableOpacity
+                  style={styles.redactButton}
+                  onPress={handleRedact}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.redactButtonText}>Redact</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
             {/* Validation Error */}
             {validationError ? (
               <Animated.View style={styles.errorContainer}>
@@ -502,7 +835,7 @@ const AddWhisperScreen = ({ navigation }) => {
         >
           <TouchableOpacity
             style={styles.floatingPostButton}
-            onPress={handlePost}
+            onPress={() => handlePost()}
             disabled={isPosting}
             activeOpacity={0.8}
           >
@@ -517,13 +850,35 @@ const AddWhisperScreen = ({ navigation }) => {
               ) : (
                 <>
                   <Text style={styles.floatingPostIcon}>✨</Text>
-                  <Text style={styles.floatingPostText}>Post Whisper</Text>
+                  <Text style={styles.floatingPostText}>
+                    {isPrivate
+                      ? 'Save to Journal'
+                      : schedule === 'now' ? 'Post Whisper' : 'Schedule Whisper'}
+                  </Text>
                 </>
               )}
             </LinearGradient>
           </TouchableOpacity>
         </Animated.View>
       )}
+
+      <DraftsModal
+        visible={draftsVisible}
+        drafts={otherDrafts}
+        onSelect={handleOpenDraft}
+        onDelete={deleteDraft}
+        onClose={() => setDraftsVisible(false)}
+      />
+
+      <SupportResourcesModal
+        visible={supportVisible}
+        title="You don't have to carry this alone"
+        message="It sounds like things are really heavy right now. Talking to someone can help, and these helplines are free and confidential."
+        actions={[
+          { label: 'Share My Whisper', onPress: continueAfterSupport }
+        ]}
+        onClose={closeSupport}
+      />
     </KeyboardAvoidingView>
   );
 };
@@ -676,9 +1031,58 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     marginBottom: SIZES.large,
   },
+  lifetimeOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  lifetimeOption: {
+    width: '48%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: SIZES.small,
+    borderRadius: SIZES.radiusLarge,
+    borderWidth: 2,
+    borderColor: COLORS.lightGray,
+    marginBottom: SIZES.small,
+  },
+  selectedLifetimeOption: {
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.primary + '10',
+  },
+  lifetimeEmoji: {
+    fontSize: 16,
+    marginRight: SIZES.base,
+  },
+  lifetimeText: {
+    fontSize: SIZES.caption,
+    color: COLORS.textLight,
+    fontWeight: '500',
+  },
+  selectedLifetimeText: {
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
   inputSection: {
     marginBottom: SIZES.large,
   },
+  inputSectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  draftsButton: {
+    paddingVertical: SIZES.base,
+    paddingHorizontal: SIZES.small,
+    borderRadius: SIZES.radius,
+    backgroundColor: 'rgba(233, 30, 99, 0.1)',
+  },
+  draftsButtonText: {
+    fontSize: SIZES.small,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
   inputContainer: {
     backgroundColor: 'white',
     borderRadius: SIZES.radiusLarge,
@@ -765,6 +1169,39 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     flex: 1,
   },
+  personalInfoHighlight: {
+    backgroundColor: '#FFF3CD',
+    color: '#B26A00',
+    fontWeight: '600',
+  },
+  personalInfoContainer: {
+    backgroundColor: '#FFF8E1',
+    borderRadius: SIZES.radiusLarge,
+    padding: SIZES.medium,
+    marginTop: SIZES.medium,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF9800',
+  },
+  personalInfoText: {
+    fontSize: SIZES.caption,
+    color: '#B26A00',
+    fontWeight: '500',
+    flex: 1,
+  },
+  redactButton: {
+    backgroundColor: '#FF9800',
+    borderRadius: SIZES.radius,
+    paddingVertical: SIZES.base,
+    paddingHorizontal: SIZES.medium,
+    marginLeft: SIZES.small,
+  },
+  redactButtonText: {
+    color: 'white',
+    fontSize: SIZES.small,
+    fontWeight: '600',
+  },
   tipsCard: {
     backgroundColor: 'white',
     borderRadius: SIZES.radiusLarge,
@@ -9,7 +9,6 @@ import {
   StatusBar,
   TextInput,
   ActivityIndicator,
-  Alert,
   Animated,
   Dimensions,
   Platform,
@@ -18,14 +17,25 @@ import {
 import { LinearGradient } from 'expo-linear-gradient';
 import { useApp } from '../context/AppContext';
 import { COLORS, SIZES, SHADOWS, MOODS } from '../constants/theme';
+import { getEngagement } from '../utils/helpers';
 import WhisperCard from '../components/WhisperCard';
+import useWhisperActions from '../hooks/useWhisperActions';
 
 const { width, height } = Dimensions.get('window');
 const HEADER_HEIGHT = 140;
 const ITEMS_PER_PAGE = 10;
+const NEARBY_RADIUS = 1000;
 
 const ExploreScreen = ({ navigation }) => {
-  const { whispers, likeWhisper, location } = useApp();
+  const {
+    whispers,
+    toggleLike,
+    reactToWhisper,
+    editWhisper,
+    location,
+    getNearbyWhispers
+  } = useApp();
+  const { handleReportWhisper, handleDeleteWhisper } = useWhisperActions();
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('popular');
   const [loading, setLoading] = useState(false);
@@ -60,7 +70,10 @@ const ExploreScreen = ({ navigation }) => {
   ], []);
 
   const getFilteredWhispers = useMemo(() => {
-    let filtered = [...whispers];
+    // Nearby starts from a spatial query instead of the whole wall
+    let filtered = selectedCategory === 'nearby'
+      ? getNearbyWhispers(NEARBY_RADIUS)
+      : [...whispers];
 
     // Apply search filter
     if (searchQuery.trim()) {
@@ -75,7 +88,8 @@ const ExploreScreen = ({ navigation }) => {
     try {
       switch (selectedCategory) {
         case 'popular':
-          filtered = filtered.sort((a, b) => (b.likes || 0) - (a.likes || 0));
+          // Likes and every reaction count toward popularity
+          filtered = filtered.sort((a, b) => getEngagement(b) - getEngagement(a));
           break;
         case 'recent':
           filtered = filtered.sort((a, b) => {
@@ -85,9 +99,7 @@ const ExploreScreen = ({ navigation }) => {
           });
           break;
         case 'nearby':
-          filtered = filtered
-            .filter(whisper => (whisper.distance || 0) <= 1000)
-            .sort((a, b) => (a.distance || 0) - (b.distance || 0));
+          filtered = filtered.sort((a, b) => (a.distance || 0) - (b.distance || 0));
           break;
         case 'trending':
           filtered = filtered
@@ -111,11 +123,11 @@ const ExploreScreen = ({ navigation }) => {
       }
     } catch (error) {
       console.error('Filter error:', error);
-      filtered = filtered.sort((a, b) => (b.likes || 0) - (a.likes || 0));
+      filtered = filtered.sort((a, b) => getEngagement(b) - getEngagement(a));
     }
 
     return filtered.slice(0, page * ITEMS_PER_PAGE);
-  }, [whispers, searchQuery, selectedCategory, page]);
+  }, [whispers, location, searchQuery, selectedCategory, page]);
 
   const handleSearch = useCallback((text) => {
     setSearchQuery(text);
@@ -153,13 +165,18 @@ const ExploreScreen = ({ navigation }) => {
   }, [loading, getFilteredWhispers.length, page]);
 
   const handleLikeWhisper = useCallback((whisperId) => {
-    likeWhisper(whisperId);
+    toggleLike(whisperId);
     if (Platform.OS === 'ios') {
       import('expo-haptics').then(({ impactAsync, ImpactFeedbackStyle }) => {
         impactAsync(ImpactFeedbackStyle.Light);
       });
     }
-  }, [likeWhisper]);
+  }, [toggleLike]);
+
+  // Threads live in the Home stack
+  const handleOpenThread = useCallback((whisperId) => {
+    navigation.navigate('Home', { screen: 'WhisperDetail', params: { whisperId } });
+  }, [navigation]);
 
   const getMoodStats = useMemo(() => {
     if (!whispers.length) return [];
@@ -466,10 +483,15 @@ const ExploreScreen = ({ navigation }) => {
       <WhisperCard
         whisper={item}
         onLike={handleLikeWhisper}
+        onReact={reactToWhisper}
+        onReport={handleReportWhisper}
+        onOpenThread={handleOpenThread}
+        onEdit={editWhisper}
+        onDelete={handleDeleteWhisper}
         index={index}
       />
     </Animated.View>
-  ), [handleLikeWhisper, fadeAnimation, slideAnimation]);
+  ), [handleLikeWhisper, reactToWhisper, handleReportWhisper, handleOpenThread, editWhisper, handleDeleteWhisper, fadeAnimation, slideAnimation]);
 
   const renderHeader = useCallback(() => (
     <>
@@ -21,6 +21,7 @@ import { BlurView } from 'expo-blur';
 import { useApp } from '../context/AppContext';
 import { COLORS, SIZES, SHADOWS } from '../constants/theme';
 import WhisperCard from '../components/WhisperCard';
+import useWhisperActions from '../hooks/useWhisperActions';
 import MoodSelector from '../components/MoodSelector';
 
 const { width, height } = Dimensions.get('window');
@@ -31,13 +32,20 @@ const SCROLL_DISTANCE = HEADER_MAX_HEIGHT - HEADER_MIN_HEIGHT;
 const HomeScreen = ({ navigation }) => {
   const {
     location,
+    whispers,
+    locationRadius,
+    preferences,
     selectedMood,
     setSelectedMood,
     getFilteredWhispers,
-    likeWhisper,
+    refreshWhispers,
+    toggleLike,
+    reactToWhisper,
+    editWhisper,
     requestLocationPermission,
     isLoading
   } = useApp();
+  const { handleReportWhisper, handleDeleteWhisper } = useWhisperActions();
 
   const [refreshing, setRefreshing] = useState(false);
   const [loadingLocation, setLoadingLocation] = useState(false);
@@ -66,7 +74,7 @@ const HomeScreen = ({ navigation }) => {
   const filteredWhispers = useMemo(() => {
     const whispers = getFilteredWhispers();
     return whispers.slice(0, 20); // Limit initial render for performance
-  }, [selectedMood, location]);
+  }, [whispers, selectedMood, location, locationRadius]);
 
   // Enhanced refresh with haptic feedback
   const onRefresh = useCallback(async () => {
@@ -76,13 +84,13 @@ const HomeScreen = ({ navigation }) => {
         const { impactAsync, ImpactFeedbackStyle } = await import('expo-haptics');
         impactAsync(ImpactFeedbackStyle.Light);
       }
-      await new Promise(resolve => setTimeout(resolve, 800));
+      await refreshWhispers();
     } catch (error) {
       Alert.alert('Refresh Failed', 'Unable to refresh content. Please try again.');
     } finally {
       setRefreshing(false);
     }
-  }, []);
+  }, [refreshWhispers]);
 
   const handleLocationPress = useCallback(async () => {
     if (loadingLocation) return;
@@ -105,13 +113,17 @@ const HomeScreen = ({ navigation }) => {
   }, [navigation]);
 
   const handleLikeWhisper = useCallback((whisperId) => {
-    likeWhisper(whisperId);
+    toggleLike(whisperId);
     if (Platform.OS === 'ios') {
       import('expo-haptics').then(({ impactAsync, ImpactFeedbackStyle }) => {
         impactAsync(ImpactFeedbackStyle.Light);
       });
     }
-  }, [likeWhisper]);
+  }, [toggleLike]);
+
+  const handleOpenThread = useCallback((whisperId) => {
+    navigation.navigate('WhisperDetail', { whisperId });
+  }, [navigation]);
 
   const renderWhisperItem = useCallback(({ item, index }) => (
     <Animated.View
@@ -129,10 +141,15 @@ const HomeScreen = ({ navigation }) => {
       <WhisperCard
         whisper={item}
         onLike={handleLikeWhisper}
+        onReact={reactToWhisper}
+        onReport={handleReportWhisper}
+        onOpenThread={handleOpenThread}
+        onEdit={editWhisper}
+        onDelete={handleDeleteWhisper}
         index={index}
       />
     </Animated.View>
-  ), [handleLikeWhisper, scrollY]);
+  ), [handleLikeWhisper, reactToWhisper, handleReportWhisper, handleOpenThread, editWhisper, handleDeleteWhisper, scrollY]);
 
   const MoodFilterSection = useCallback(() => (
     <View style={styles.moodSection}>
@@ -170,11 +187,11 @@ const HomeScreen = ({ navigation }) => {
       </View>
       {location && (
         <Text style={styles.locationRange}>
-          Showing whispers within 2km radius
+          Showing whispers within {locationRadius >= 1000 ? `${locationRadius / 1000}km` : `${locationRadius}m`} radius
         </Text>
       )}
     </View>
-  ), [location, loadingLocation, handleLocationPress]);
+  ), [location, locationRadius, loadingLocation, handleLocationPress]);
 
   const StatsOverview = useCallback(() => (
     <View style={styles.statsSection}>
@@ -291,7 +308,7 @@ const HomeScreen = ({ navigation }) => {
           >
             <View style={styles.notificationBadge}>
               <Text style={styles.notificationIcon}>🔔</Text>
-              <View style={styles.notificationDot} />
+              {preferences.notificationsEnabled && <View style={styles.notificationDot} />}
             </View>
           </TouchableOpacity>
         </Animated.View>
@@ -0,0 +1,278 @@
+// src/screens/JournalScreen.js
+import React, { useState, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  StatusBar,
+  Alert,
+  ScrollView
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useApp } from '../context/AppContext';
+import { COLORS, SIZES, SHADOWS, MOODS } from '../constants/theme';
+import { formatTimestamp } from '../utils/helpers';
+
+// "Just for me" whispers. They're stored on this device only and never
+// shown to anyone else.
+const JournalScreen = ({ navigation }) => {
+  const { journalEntries, deleteJournalEntry } = useApp();
+  const [moodFilter, setMoodFilter] = useState(null);
+
+  const filteredEntries = useMemo(() => (
+    moodFilter
+      ? journalEntries.filter(entry => entry.mood === moodFilter)
+      : journalEntries
+  ), [journalEntries, moodFilter]);
+
+  // Private entries open in the composer with "Just for me" already picked
+  const handleWrite = useCallback(() => {
+    navigation.navigate('Home', { screen: 'AddWhisper', params: { visibility: 'private' } });
+  }, [navigation]);
+
+  const handleDelete = useCallback((entry) => {
+    Alert.alert(
+      'Delete Entry?',
+      'It will be removed from this device for good.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => deleteJournalEntry(entry.id) }
+      ]
+    );
+  }, [deleteJournalEntry]);
+
+  const renderEntry = useCallback(({ item }) => {
+    const mood = MOODS.find(option => option.id === item.mood);
+
+    return (
+      <TouchableOpacity
+        style={styles.entry}
+        onLongPress={() => handleDelete(item)}
+        activeOpacity={1}
+      >
+        <View style={styles.entryHeader}>
+          <Text style={styles.entryMood}>{mood ? mood.emoji : '💭'}</Text>
+          <Text style={styles.entryTime}>{formatTimestamp(item.timestamp)}</Text>
+          <TouchableOpacity
+            onPress={() => handleDelete(item)}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Text style={styles.entryDelete}>🗑️</Text>
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.entryText}>{item.text}</Text>
+      </TouchableOpacity>
+    );
+  }, [handleDelete]);
+
+  const renderFilters = () => (
+    <View style={styles.filters}>
+      <View style={styles.privacyNote}>
+        <Text style={styles.privacyNoteText}>
+          🔒 Only you can see these. They stay on this device and are never shared or synced.
+        </Text>
+      </View>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        <TouchableOpacity
+          style={[styles.chip, !moodFilter && styles.selectedChip]}
+          onPress={() => setMoodFilter(null)}
+        >
+          <Text style={[styles.chipText, !moodFilter && styles.selectedChipText]}>All moods</Text>
+        </TouchableOpacity>
+        {MOODS.map(mood => (
+          <TouchableOpacity
+            key={mood.id}
+            style={[styles.chip, moodFilter === mood.id && styles.selectedChip]}
+            onPress={() => setMoodFilter(mood.id)}
+          >
+            <Text style={[styles.chipText, moodFilter === mood.id && styles.selectedChipText]}>
+              {mood.emoji} {mood.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+
+  const renderEmpty = () => (
+    <View style={styles.emptyState}>
+      <Text style={styles.emptyStateEmoji}>📔</Text>
+      <Text style={styles.emptyStateTitle}>
+        {journalEntries.length === 0 ? 'Your journal is empty' : 'Nothing matches'}
+      </Text>
+      <Text style={styles.emptyStateDescription}>
+        {journalEntries.length === 0
+          ? 'Pick "Just for me" when writing a whisper to keep it here.'
+          : 'Try another mood.'}
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor={COLORS.primary} />
+
+      {/* Header */}
+      <LinearGradient
+        colors={[COLORS.primaryLight, COLORS.primary]}
+        style={styles.header}
+      >
+        <View style={styles.headerContent}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Text style={styles.backButtonText}>‹</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Journal</Text>
+          <TouchableOpacity style={styles.headerAction} onPress={handleWrite}>
+            <Text style={styles.headerActionText}>Write</Text>
+          </TouchableOpacity>
+        </View>
+      </LinearGradient>
+
+      <FlatList
+        data={filteredEntries}
+        renderItem={renderEntry}
+        keyExtractor={item => item.id}
+        ListHeaderComponent={renderFilters}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.listContent}
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    paddingTop: 50,
+    paddingBottom: SIZES.medium,
+    paddingHorizontal: SIZES.large,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backButtonText: {
+    color: 'white',
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  headerTitle: {
+    color: 'white',
+    fontSize: SIZES.h3,
+    fontWeight: '600',
+  },
+  headerAction: {
+    minWidth: 40,
+    alignItems: 'flex-end',
+  },
+  headerActionText: {
+    color: 'white',
+    fontSize: SIZES.body,
+    fontWeight: '600',
+  },
+  listContent: {
+    padding: SIZES.large,
+    paddingBottom: 100,
+  },
+  filters: {
+    marginBottom: SIZES.medium,
+  },
+  privacyNote: {
+    backgroundColor: COLORS.primary + '10',
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.medium,
+    marginBottom: SIZES.medium,
+  },
+  privacyNoteText: {
+    fontSize: SIZES.caption,
+    color: COLORS.textLight,
+    lineHeight: 20,
+  },
+  chip: {
+    paddingVertical: SIZES.base,
+    paddingHorizontal: SIZES.medium,
+    borderRadius: SIZES.radiusLarge,
+    backgroundColor: 'white',
+    marginRight: SIZES.small,
+    ...SHADOWS.small,
+  },
+  selectedChip: {
+    backgroundColor: COLORS.primary,
+  },
+  chipText: {
+    fontSize: SIZES.caption,
+    color: COLORS.text,
+  },
+  selectedChipText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  entry: {
+    backgroundColor: 'white',
+    borderRadius: SIZES.radiusLarge,
+    padding: SIZES.medium,
+    marginBottom: SIZES.small,
+    ...SHADOWS.small,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: SIZES.base,
+  },
+  entryMood: {
+    fontSize: 18,
+    marginRight: SIZES.small,
+  },
+  entryTime: {
+    flex: 1,
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+  },
+  entryDelete: {
+    fontSize: 16,
+  },
+  entryText: {
+    fontSize: SIZES.body,
+    color: COLORS.text,
+    lineHeight: 22,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: SIZES.xlarge,
+  },
+  emptyStateEmoji: {
+    fontSize: 40,
+    marginBottom: SIZES.small,
+  },
+  emptyStateTitle: {
+    fontSize: SIZES.h5,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SIZES.base,
+  },
+  emptyStateDescription: {
+    fontSize: SIZES.body,
+    color: COLORS.textLight,
+    textAlign: 'center',
+  },
+});
+
+export default JournalScreen;
@@ -0,0 +1,541 @@
+// src/screens/MyWhispersScreen.js
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  StatusBar,
+  RefreshControl,
+  ActivityIndicator,
+  Alert,
+  ScrollView
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useApp } from '../context/AppContext';
+import { COLORS, SIZES, SHADOWS, MOODS } from '../constants/theme';
+import { formatTimestamp, getEngagement, truncateText } from '../utils/helpers';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DATE_RANGES = [
+  { id: 'all', name: 'All time', duration: null },
+  { id: 'day', name: '24 hours', duration: DAY },
+  { id: 'week', name: '7 days', duration: 7 * DAY },
+  { id: 'month', name: '30 days', duration: 30 * DAY }
+];
+
+const SORT_OPTIONS = [
+  { id: 'recent', name: 'Newest', emoji: '🕐' },
+  { id: 'likes', name: 'Most loved', emoji: '💙' }
+];
+
+// Bars shown in the engagement chart
+const CHART_POINTS = 12;
+
+// Tiny bar chart of a whisper's hearts across recorded snapshots
+const EngagementChart = ({ snapshots }) => {
+  const points = snapshots.slice(-CHART_POINTS);
+  if (points.length < 2) return null;
+
+  const max = Math.max(1, ...points.map(point => point.hearts));
+
+  return (
+    <View style={styles.chart}>
+      {points.map(point => (
+        <View
+          key={point.at}
+          style={[styles.chartBar, { height: `${Math.max(8, (point.hearts / max) * 100)}%` }]}
+        />
+      ))}
+    </View>
+  );
+};
+
+const MyWhispersScreen = ({ navigation }) => {
+  const { myWhispers, engagementHistory, loadMyWhispers, deleteWhispers } = useApp();
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [moodFilter, setMoodFilter] = useState(null);
+  const [dateRange, setDateRange] = useState('all');
+  const [sortBy, setSortBy] = useState('recent');
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    loadMyWhispers().finally(() => setLoading(false));
+  }, []);
+
+  const onRefresh = useCallback(async () => {
+    setRefreshing(true);
+    await loadMyWhispers();
+    setRefreshing(false);
+  }, [loadMyWhispers]);
+
+  const filteredWhispers = useMemo(() => {
+    const { duration } = DATE_RANGES.find(range => range.id === dateRange);
+    const since = duration ? Date.now() - duration : null;
+
+    return myWhispers
+      .filter(whisper => !moodFilter || whisper.mood === moodFilter)
+      .filter(whisper => !since || new Date(whisper.timestamp).getTime() >= since)
+      .sort((a, b) => (
+        sortBy === 'likes'
+          ? getEngagement(b) - getEngagement(a)
+          : new Date(b.timestamp) - new Date(a.timestamp)
+      ));
+  }, [myWhispers, moodFilter, dateRange, sortBy]);
+
+  const stopSelecting = useCallback(() => {
+    setSelecting(false);
+    setSelectedIds([]);
+  }, []);
+
+  // Whispers still sending can't be deleted yet
+  const toggleSelected = useCallback((whisper) => {
+    if (whisper.pending) return;
+    setSelectedIds(prev => (
+      prev.includes(whisper.id)
+        ? prev.filter(id => id !== whisper.id)
+        : [...prev, whisper.id]
+    ));
+  }, []);
+
+  const handleLongPress = useCallback((whisper) => {
+    setSelecting(true);
+    toggleSelected(whisper);
+  }, [toggleSelected]);
+
+  const handleSelectAll = useCallback(() => {
+    const selectable = filteredWhispers.filter(whisper => !whisper.pending).map(whisper => whisper.id);
+    setSelectedIds(prev => (prev.length === selectable.length ? [] : selectable));
+  }, [filteredWhispers]);
+
+  const handleBulkDelete = useCallback(() => {
+    const count = selectedIds.length;
+    Alert.alert(
+      `Delete ${count} Whisper${count > 1 ? 's' : ''}?`,
+      'They will be removed from the wall along with their replies. This can\'t be undone.',
+      [
+        { text: 'Keep Them', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setDeleting(true);
+            const deleted = await deleteWhispers(selectedIds);
+            setDeleting(false);
+            stopSelecting();
+
+            if (deleted < count) {
+              Alert.alert(
+                'Some Whispers Weren\'t Deleted',
+                `${count - deleted} of ${count} couldn't be deleted. Please try again.`
+              );
+            }
+          }
+        }
+      ]
+    );
+  }, [selectedIds, deleteWhispers, stopSelecting]);
+
+  const renderWhisper = useCallback(({ item }) => {
+    const mood = MOODS.find(option => option.id === item.mood);
+    const selected = selectedIds.includes(item.id);
+
+    return (
+      <TouchableOpacity
+        style={[styles.whisperItem, selected && styles.selectedWhisperItem]}
+        onPress={() => selecting && toggleSelected(item)}
+        onLongPress={() => handleLongPress(item)}
+        activeOpacity={selecting ? 0.7 : 1}
+      >
+        {selecting && (
+          <View style={[styles.checkbox, selected && styles.checkedCheckbox]}>
+            {selected && <Text style={styles.checkmark}>✓</Text>}
+          </View>
+        )}
+        <View style={styles.whisperBody}>
+          <View style={styles.whisperHeader}>
+            <Text style={styles.whisperMood}>{mood ? mood.emoji : '💭'}</Text>
+            <Text style={styles.whisperTime}>
+              {item.pending ? 'sending…' : formatTimestamp(item.timestamp)}
+              {item.editedAt ? ' • edited' : ''}
+            </Text>
+          </View>
+          <Text style={styles.whisperText}>{truncateText(item.text, 160)}</Text>
+          <View style={styles.whisperFooter}>
+            <Text style={styles.whisperStats}>
+              💙 {getEngagement(item)}   💬 {item.replyCount || 0}
+            </Text>
+            <EngagementChart snapshots={engagementHistory[item.id] || []} />
+          </View>
+        </View>
+      </TouchableOpacity>
+    );
+  }, [selecting, selectedIds, engagementHistory, toggleSelected, handleLongPress]);
+
+  const renderFilters = () => (
+    <View style={styles.filters}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        <TouchableOpacity
+          style={[styles.chip, !moodFilter && styles.selectedChip]}
+          onPress={() => setMoodFilter(null)}
+        >
+          <Text style={[styles.chipText, !moodFilter && styles.selectedChipText]}>All moods</Text>
+        </TouchableOpacity>
+        {MOODS.map(mood => (
+          <TouchableOpacity
+            key={mood.id}
+            style={[styles.chip, moodFilter === mood.id && styles.selectedChip]}
+            onPress={() => setMoodFilter(mood.id)}
+          >
+            <Text style={[styles.chipText, moodFilter === mood.id && styles.selectedChipText]}>
+              {mood.emoji} {mood.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filterRow}>
+        {DATE_RANGES.map(range => (
+          <TouchableOpacity
+            key={range.id}
+            style={[styles.chip, dateRange === range.id && styles.selectedChip]}
+            onPress={() => setDateRange(range.id)}
+          >
+            <Text style={[styles.chipText, dateRange === range.id && styles.selectedChipText]}>
+              {range.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <View style={[styles.sortRow, styles.filterRow]}>
+        <Text style={styles.resultCount}>
+          {filteredWhispers.length} whisper{filteredWhispers.length === 1 ? '' : 's'}
+        </Text>
+        <View style={styles.sortOptions}>
+          {SORT_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.id}
+              style={[styles.chip, sortBy === option.id && styles.selectedChip]}
+              onPress={() => setSortBy(option.id)}
+            >
+              <Text style={[styles.chipText, sortBy === option.id && styles.selectedChipText]}>
+                {option.emoji} {option.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+    </View>
+  );
+
+  const renderEmpty = () => (
+    loading ? (
+      <ActivityIndicator color={COLORS.primary} style={styles.loading} />
+    ) : (
+      <View style={styles.emptyState}>
+        <Text style={styles.emptyStateEmoji}>📜</Text>
+        <Text style={styles.emptyStateTitle}>
+          {myWhispers.length === 0 ? 'No whispers yet' : 'Nothing matches'}
+        </Text>
+        <Text style={styles.emptyStateDescription}>
+          {myWhispers.length === 0
+            ? 'Whispers you share will be collected here.'
+            : 'Try another mood or a longer date range.'}
+        </Text>
+      </View>
+    )
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor={COLORS.primary} />
+
+      {/* Header */}
+      <LinearGradient
+        colors={[COLORS.primaryLight, COLORS.primary]}
+        style={styles.header}
+      >
+        <View style={styles.headerContent}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Text style={styles.backButtonText}>‹</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>My Whispers</Text>
+          <TouchableOpacity
+            style={styles.headerAction}
+            onPress={selecting ? stopSelecting : () => setSelecting(true)}
+            disabled={myWhispers.length === 0}
+          >
+            <Text style={styles.headerActionText}>{selecting ? 'Done' : 'Select'}</Text>
+          </TouchableOpacity>
+        </View>
+      </LinearGradient>
+
+      <FlatList
+        data={filteredWhispers}
+        renderItem={renderWhisper}
+        keyExtractor={item => item.id}
+        ListHeaderComponent={renderFilters}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.listContent}
+        showsVerticalScrollIndicator={false}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={[COLORS.primary]}
+            tintColor={COLORS.primary}
+          />
+        }
+      />
+
+      {/* Bulk actions */}
+      {selecting && (
+        <View style={styles.selectionBar}>
+          <TouchableOpacity onPress={handleSelectAll} activeOpacity={0.7}>
+            <Text style={styles.selectAllText}>Select all</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.deleteButton, (selectedIds.length === 0 || deleting) && styles.disabledDeleteButton]}
+            onPress={handleBulkDelete}
+            disabled={selectedIds.length === 0 || deleting}
+            activeOpacity={0.8}
+          >
+            {deleting ? (
+              <ActivityIndicator size="small" color="white" />
+            ) : (
+              <Text style={styles.deleteButtonText}>Delete ({selectedIds.length})</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    paddingTop: 50,
+    paddingBottom: SIZES.medium,
+    paddingHorizontal: SIZES.large,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backButtonText: {
+    color: 'white',
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  headerTitle: {
+    color: 'white',
+    fontSize: SIZES.h3,
+    fontWeight: '600',
+  },
+  headerAction: {
+    minWidth: 40,
+    alignItems: 'flex-end',
+  },
+  headerActionText: {
+    color: 'white',
+    fontSize: SIZES.body,
+    fontWeight: '600',
+  },
+  listContent: {
+    padding: SIZES.large,
+    paddingBottom: 100,
+  },
+  filters: {
+    marginBottom: SIZES.medium,
+  },
+  filterRow: {
+    marginTop: SIZES.small,
+  },
+  chip: {
+    paddingVertical: SIZES.base,
+    paddingHorizontal: SIZES.medium,
+    borderRadius: SIZES.radiusLarge,
+    backgroundColor: 'white',
+    marginRight: SIZES.small,
+    ...SHADOWS.small,
+  },
+  selectedChip: {
+    backgroundColor: COLORS.primary,
+  },
+  chipText: {
+    fontSize: SIZES.caption,
+    color: COLORS.text,
+  },
+  selectedChipText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  sortRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sortOptions: {
+    flexDirection: 'row',
+  },
+  resultCount: {
+    fontSize: SIZES.caption,
+    color: COLORS.textMuted,
+  },
+  whisperItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: SIZES.radiusLarge,
+    padding: SIZES.medium,
+    marginBottom: SIZES.small,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    ...SHADOWS.small,
+  },
+  selectedWhisperItem: {
+    borderColor: COLORS.primary,
+  },
+  checkbox: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: COLORS.textMuted,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: SIZES.medium,
+  },
+  checkedCheckbox: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  checkmark: {
+    color: 'white',
+    fontSize: SIZES.small,
+    fontWeight: 'bold',
+  },
+  whisperBody: {
+    flex: 1,
+  },
+  whisperHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: SIZES.base,
+  },
+  whisperMood: {
+    fontSize: 18,
+    marginRight: SIZES.small,
+  },
+  whisperTime: {
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+  },
+  whisperText: {
+    fontSize: SIZES.body,
+    color: COLORS.text,
+    lineHeight: 22,
+  },
+  whisperFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    marginTop: SIZES.small,
+  },
+  whisperStats: {
+    fontSize: SIZES.small,
+    color: COLORS.primary,
+    fontWeight: '500',
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: 24,
+  },
+  chartBar: {
+    width: 4,
+    marginLeft: 2,
+    borderRadius: 2,
+    backgroundColor: COLORS.primaryLight,
+  },
+  loading: {
+    marginTop: SIZES.xlarge,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: SIZES.xlarge,
+  },
+  emptyStateEmoji: {
+    fontSize: 40,
+    marginBottom: SIZES.small,
+  },
+  emptyStateTitle: {
+    fontSize: SIZES.h5,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SIZES.base,
+  },
+  emptyStateDescription: {
+    fontSize: SIZES.body,
+    color: COLORS.textLight,
+    textAlign: 'center',
+  },
+  selectionBar: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingHorizontal: SIZES.large,
+    paddingVertical: SIZES.medium,
+    ...SHADOWS.medium,
+  },
+  selectAllText: {
+    fontSize: SIZES.body,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  deleteButton: {
+    backgroundColor: COLORS.primary,
+    borderRadius: SIZES.radiusLarge,
+    paddingVertical: SIZES.small,
+    paddingHorizontal: SIZES.large,
+    minWidth: 110,
+    alignItems: 'center',
+  },
+  disabledDeleteButton: {
+    opacity: 0.5,
+  },
+  deleteButtonText: {
+    color: 'white',
+    fontSize: SIZES.body,
+    fontWeight: '600',
+  },
+});
+
+export default MyWhispersScreen;
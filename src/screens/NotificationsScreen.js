@@ -9,11 +9,13 @@ import {
   StatusBar
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
+import { useApp } from '../context/AppContext';
 import { COLORS, SIZES, SHADOWS } from '../constants/theme';
 import { formatTimestamp } from '../utils/helpers';
 
 const NotificationsScreen = ({ navigation }) => {
-  const [notifications, setNotifications] = useState([
+  const { preferences } = useApp();
+  const [allNotifications, setNotifications] = useState([
     {
       id: '1',
       type: 'like',
@@ -52,6 +54,9 @@ const NotificationsScreen = ({ navigation }) => {
     }
   ]);
 
+  // Nothing is produced while notifications are turned off in Settings
+  const notifications = preferences.notificationsEnabled ? allNotifications : [];
+
   const markAsRead = (notificationId) => {
     setNotifications(prev =>
       prev.map(notification =>
@@ -162,6 +167,15 @@ const NotificationsScreen = ({ navigation }) => {
               ))}
             </View>
           </>
+        ) : !preferences.notificationsEnabled ? (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateEmoji}>🔕</Text>
+            <Text style={styles.emptyStateTitle}>Notifications are off</Text>
+            <Text style={styles.emptyStateDescription}>
+              Turn on push notifications in Settings to hear about activity on your
+              whispers and new whispers nearby.
+            </Text>
+          </View>
         ) : (
           <View style={styles.emptyState}>
             <Text style={styles.emptyStateEmoji}>🔔</Text>
@@ -1,5 +1,5 @@
 // src/screens/ProfileScreen.js - Optimized Version
-import React, { useMemo, useCallback, useState, useRef } from 'react';
+import React, { useMemo, useCallback, useState, useRef, useEffect } from 'react';
 import {
   View,
   Text,
@@ -15,43 +15,101 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useApp } from '../context/AppContext';
-import { COLORS, SIZES, SHADOWS } from '../constants/theme';
+import { COLORS, SIZES, SHADOWS, REACTIONS, MOODS, MOOD_CHART_COLORS } from '../constants/theme';
+import { getEngagement, formatScheduledTime, truncateText } from '../utils/helpers';
+import { getActivityStats } from '../services/activityLog';
+import MoodTimeline from '../components/MoodTimeline';
 
 const { width, height } = Dimensions.get('window');
 const HEADER_HEIGHT = 160;
 
 const ProfileScreen = ({ navigation }) => {
-  const { user, whispers, location } = useApp();
+  const {
+    user,
+    myWhispers,
+    journalEntries,
+    loadMyWhispers,
+    location,
+    scheduledWhispers,
+    cancelScheduledWhisper,
+    activityLog
+  } = useApp();
   const [refreshing, setRefreshing] = useState(false);
   const scrollY = useRef(new Animated.Value(0)).current;
 
-  // Enhanced user stats with better calculations
+  // The mood timeline covers the user's whole history, not just the nearby feed
+  useEffect(() => {
+    loadMyWhispers();
+  }, [user?.id]);
+
+  // Shared and private whispers together for the mood timeline
+  const moodHistory = useMemo(() => (
+    [...myWhispers, ...journalEntries]
+  ), [myWhispers, journalEntries]);
+
+  // Stats cover everything the user has posted, not just what's nearby
   const userStats = useMemo(() => {
-    const userWhispers = whispers.filter(whisper => whisper.userId === user?.id) || [];
-    const totalLikes = userWhispers.reduce((sum, whisper) => sum + (whisper.likes || 0), 0);
+    const userWhispers = myWhispers;
+    // Hearts count every like and every reaction
+    const totalLikes = userWhispers.reduce((sum, whisper) => sum + getEngagement(whisper), 0);
+    const reactionTotals = REACTIONS.map(reaction => ({
+      ...reaction,
+      count: userWhispers.reduce((sum, whisper) => sum + (whisper.reactions?.[reaction.id] || 0), 0)
+    }));
     
-    const moodStats = userWhispers.reduce((acc, whisper) => {
+    // Private journal entries count towards the user's own mood stats
+    const moodEntries = [...userWhispers, ...journalEntries];
+    const moodStats = moodEntries.reduce((acc, whisper) => {
       const mood = whisper.mood || 'unknown';
       acc[mood] = (acc[mood] || 0) + 1;
       return acc;
     }, {});
 
-    // Calculate streak and engagement
-    const activeDays = Math.min(30, Math.floor(Math.random() * 30) + 1);
+    // Streaks and active days come from the days the user opened the app,
+    // posted or reacted
+    const activity = getActivityStats(activityLog);
     const avgLikes = userWhispers.length > 0 ? (totalLikes / userWhispers.length).toFixed(1) : 0;
     
     return {
       userWhispers,
       totalLikes,
+      reactionTotals,
       moodStats,
-      activeDays,
+      moodTotal: moodEntries.length,
+      activeDays: activity.activeDaysThisMonth,
+      currentStreak: activity.currentStreak,
+      longestStreak: activity.longestStreak,
       totalWhispers: userWhispers.length,
       avgLikes: parseFloat(avgLikes)
     };
-  }, [whispers, user]);
+  }, [myWhispers, activityLog, journalEntries]);
 
   // Enhanced menu items with better organization
   const menuSections = useMemo(() => [
+    {
+      id: 'activity',
+      title: 'Your Whispers',
+      items: [
+        {
+          id: 'my-whispers',
+          title: 'My Whispers',
+          subtitle: 'Everything you\'ve shared, with its hearts',
+          emoji: '📜',
+          color: '#E91E63',
+          action: () => navigation.navigate('MyWhispers')
+        },
+        {
+          id: 'journal',
+          title: 'Journal',
+          subtitle: journalEntries.length > 0
+            ? `${journalEntries.length} private whisper${journalEntries.length === 1 ? '' : 's'}, only on this device`
+            : 'Whispers you kept just for yourself',
+          emoji: '📔',
+          color: '#9C27B0',
+          action: () => navigation.navigate('Journal')
+        }
+      ]
+    },
     {
       id: 'preferences',
       title: 'Preferences',
@@ -118,7 +176,7 @@ const ProfileScreen = ({ navigation }) => {
         }
       ]
     }
-  ], [navigation]);
+  ], [navigation, journalEntries]);
 
   // Enhanced handler functions with haptic feedback
   const handleNotifications = useCallback(() => {
@@ -192,13 +250,13 @@ const ProfileScreen = ({ navigation }) => {
         const { impactAsync, ImpactFeedbackStyle } = await import('expo-haptics');
         impactAsync(ImpactFeedbackStyle.Light);
       }
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      await loadMyWhispers();
     } catch (error) {
       Alert.alert('Refresh Failed', 'Unable to refresh profile data.');
     } finally {
       setRefreshing(false);
     }
-  }, []);
+  }, [loadMyWhispers]);
 
   // Enhanced components with animations
   const StatCard = useCallback(({ title, value, subtitle, emoji, color = COLORS.primary, index = 0 }) => (
@@ -314,7 +372,7 @@ const ProfileScreen = ({ navigation }) => {
         
         <Text style={styles.headerTitle}>Anonymous User</Text>
         <Text style={styles.headerSubtitle}>
-          Member since {new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+          Member since {new Date(user?.createdAt || Date.now()).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
         </Text>
         
         <View style={styles.locationContainer}>
@@ -325,7 +383,7 @@ const ProfileScreen = ({ navigation }) => {
         </View>
       </Animated.View>
     </Animated.View>
-  ), [location, scrollY]);
+  ), [location, scrollY, user]);
 
   const StatsGrid = useCallback(() => (
     <View style={styles.statsSection}>
@@ -358,17 +416,42 @@ const ProfileScreen = ({ navigation }) => {
         <StatCard
           title="Avg. Engagement"
           value={userStats.avgLikes}
-          subtitle="Likes per whisper"
+          subtitle="Hearts per whisper"
           emoji="📊"
           color="#FF9800"
           index={3}
         />
       </View>
+      <View style={styles.streakRow}>
+        <View style={styles.reactionTotal}>
+          <Text style={styles.reactionTotalEmoji}>🔥</Text>
+          <Text style={styles.reactionTotalCount}>{userStats.currentStreak}</Text>
+          <Text style={styles.reactionTotalName}>
+            Day streak
+          </Text>
+        </View>
+        <View style={styles.reactionTotal}>
+          <Text style={styles.reactionTotalEmoji}>🏆</Text>
+          <Text style={styles.reactionTotalCount}>{userStats.longestStreak}</Text>
+          <Text style={styles.reactionTotalName}>Longest streak</Text>
+        </View>
+      </View>
+      {userStats.reactionTotals.some(reaction => reaction.count > 0) && (
+        <View style={styles.reactionTotals}>
+          {userStats.reactionTotals.map(reaction => (
+            <View key={reaction.id} style={styles.reactionTotal}>
+              <Text style={styles.reactionTotalEmoji}>{reaction.emoji}</Text>
+              <Text style={styles.reactionTotalCount}>{reaction.count}</Text>
+              <Text style={styles.reactionTotalName}>{reaction.name}</Text>
+            </View>
+          ))}
+        </View>
+      )}
     </View>
   ), [userStats, StatCard]);
 
   const MoodAnalysis = useCallback(() => {
-    if (userStats.totalWhispers === 0) return null;
+    if (userStats.moodTotal === 0) return null;
 
     return (
       <View style={styles.moodSection}>
@@ -377,36 +460,99 @@ const ProfileScreen = ({ navigation }) => {
           <MoodProgressBar
             mood="Calm & Peaceful"
             count={userStats.moodStats.calm || 0}
-            total={userStats.totalWhispers}
+            total={userStats.moodTotal}
             emoji="😌"
-            color="#4CAF50"
+            color={MOOD_CHART_COLORS.calm}
           />
           <MoodProgressBar
             mood="Love & Joy"
             count={userStats.moodStats.love || 0}
-            total={userStats.totalWhispers}
+            total={userStats.moodTotal}
             emoji="❤️"
-            color="#E91E63"
+            color={MOOD_CHART_COLORS.love}
           />
           <MoodProgressBar
             mood="Thoughtful"
             count={userStats.moodStats.dear || 0}
-            total={userStats.totalWhispers}
+            total={userStats.moodTotal}
             emoji="💭"
-            color="#9C27B0"
+            color={MOOD_CHART_COLORS.dear}
           />
           <MoodProgressBar
             mood="Ambitious"
             count={userStats.moodStats.greed || 0}
-            total={userStats.totalWhispers}
+            total={userStats.moodTotal}
             emoji="💰"
-            color="#FF9800"
+            color={MOOD_CHART_COLORS.greed}
           />
         </View>
       </View>
     );
   }, [userStats, MoodProgressBar]);
 
+  // Scheduled whispers open in the composer, which lives in the Home stack
+  const handleEditScheduled = useCallback((item) => {
+    navigation.navigate('Home', { screen: 'AddWhisper', params: { scheduledId: item.id } });
+  }, [navigation]);
+
+  const handleCancelScheduled = useCallback((item) => {
+    Alert.alert(
+      'Cancel Scheduled Whisper?',
+      'It won\'t be posted and can\'t be recovered.',
+      [
+        { text: 'Keep It', style: 'cancel' },
+        {
+          text: 'Cancel Whisper',
+          style: 'destructive',
+          onPress: () => cancelScheduledWhisper(item.id)
+        }
+      ]
+    );
+  }, [cancelScheduledWhisper]);
+
+  const ScheduledSection = useCallback(() => {
+    if (scheduledWhispers.length === 0) return null;
+
+    return (
+      <View style={styles.moodSection}>
+        <Text style={styles.sectionTitle}>Scheduled</Text>
+        {scheduledWhispers.map(item => {
+          const mood = MOODS.find(option => option.id === item.mood);
+
+          return (
+            <View key={item.id} style={styles.scheduledItem}>
+              <Text style={styles.scheduledMood}>{mood ? mood.emoji : '⏰'}</Text>
+              <View style={styles.scheduledInfo}>
+                <Text style={styles.scheduledText}>{truncateText(item.text, 90)}</Text>
+                <Text style={styles.scheduledTime}>
+                  Goes up {formatScheduledTime(item.publishAt)}
+                </Text>
+              </View>
+              <View style={styles.scheduledActions}>
+                <TouchableOpacity
+                  style={styles.scheduledButton}
+                  onPress={() => handleEditScheduled(item)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.scheduledButtonText}>Edit</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.scheduledButton}
+                  onPress={() => handleCancelScheduled(item)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.scheduledButtonText, styles.scheduledCancelText]}>
+                    Cancel
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          );
+        })}
+      </View>
+    );
+  }, [scheduledWhispers, handleEditScheduled, handleCancelScheduled]);
+
   const renderSectionHeader = useCallback(({ section }) => (
     <View style={styles.sectionHeaderContainer}>
       <Text style={styles.sectionHeaderTitle}>{section.title}</Text>
@@ -455,7 +601,9 @@ const ProfileScreen = ({ navigation }) => {
             <ProfileHeader />
             <View style={styles.contentContainer}>
               <StatsGrid />
+              <ScheduledSection />
               <MoodAnalysis />
+              <MoodTimeline whispers={moodHistory} />
             </View>
           </>
         )}
@@ -571,6 +719,39 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     marginHorizontal: -SIZES.small / 2,
   },
+  reactionTotals: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    backgroundColor: 'white',
+    borderRadius: SIZES.radiusLarge,
+    paddingVertical: SIZES.medium,
+    ...SHADOWS.small,
+  },
+  streakRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    backgroundColor: 'white',
+    borderRadius: SIZES.radiusLarge,
+    paddingVertical: SIZES.medium,
+    marginBottom: SIZES.medium,
+    ...SHADOWS.small,
+  },
+  reactionTotal: {
+    alignItems: 'center',
+  },
+  reactionTotalEmoji: {
+    fontSize: 22,
+  },
+  reactionTotalCount: {
+    fontSize: SIZES.h5,
+    fontWeight: 'bold',
+    color: COLORS.text,
+    marginTop: 2,
+  },
+  reactionTotalName: {
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+  },
   statCard: {
     backgroundColor: 'white',
     borderRadius: SIZES.radiusLarge,
@@ -615,6 +796,48 @@ const styles = StyleSheet.create({
   moodSection: {
     paddingTop: SIZES.xlarge,
   },
+  scheduledItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: SIZES.radiusLarge,
+    padding: SIZES.medium,
+    marginBottom: SIZES.small,
+    ...SHADOWS.small,
+  },
+  scheduledMood: {
+    fontSize: 22,
+    marginRight: SIZES.medium,
+  },
+  scheduledInfo: {
+    flex: 1,
+  },
+  scheduledText: {
+    fontSize: SIZES.body,
+    color: COLORS.text,
+    lineHeight: 20,
+  },
+  scheduledTime: {
+    fontSize: SIZES.caption,
+    color: COLORS.primary,
+    marginTop: SIZES.base,
+  },
+  scheduledActions: {
+    marginLeft: SIZES.small,
+  },
+  scheduledButton: {
+    paddingVertical: SIZES.base,
+    paddingHorizontal: SIZES.small,
+  },
+  scheduledButtonText: {
+    fontSize: SIZES.caption,
+    fontWeight: '600',
+    color: COLORS.primary,
+    textAlign: 'right',
+  },
+  scheduledCancelText: {
+    color: COLORS.textMuted,
+  },
   moodStatsContainer: {
     backgroundColor: 'white',
     borderRadius: SIZES.radiusLarge,
@@ -12,20 +12,36 @@ import {
   Platform,
   Animated,
   Dimensions,
+  Share,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
 import { useApp } from '../context/AppContext';
 import { COLORS, SIZES, SHADOWS } from '../constants/theme';
+import { parseExport, unlockArchiveIdentity } from '../services/dataImport';
+import PassphraseModal from '../components/PassphraseModal';
 
 const { width, height } = Dimensions.get('window');
 const HEADER_HEIGHT = 120;
 
 const SettingsScreen = ({ navigation }) => {
-  const { locationRadius, setLocationRadius } = useApp();
-  const [notifications, setNotifications] = useState(true);
-  const [darkMode, setDarkMode] = useState(false);
-  const [autoLocation, setAutoLocation] = useState(true);
+  const {
+    locationRadius,
+    setLocationRadius,
+    preferences,
+    updatePreferences,
+    setAutoLocation,
+    exportUserData,
+    importUserData,
+    clearAllData
+  } = useApp();
+  const { notificationsEnabled, darkMode, autoLocation } = preferences;
   const [loading, setLoading] = useState(false);
+  // Passphrase sheet: { mode: 'export' } or { mode: 'import', document }
+  const [passphrasePrompt, setPassphrasePrompt] = useState(null);
+  const [passphraseError, setPassphraseError] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
   
   const fadeAnimation = useRef(new Animated.Value(0)).current;
   const slideAnimation = useRef(new Animated.Value(50)).current;
@@ -87,18 +103,8 @@ const SettingsScreen = ({ navigation }) => {
           title: 'Push Notifications',
           subtitle: 'Get notified about nearby whispers',
           emoji: '📱',
-          value: notifications,
-          onValueChange: setNotifications,
-        },
-        {
-          id: 'notification-sounds',
-          type: 'switch',
-          title: 'Notification Sounds',
-          subtitle: 'Play sound with notifications',
-          emoji: '🔊',
-          value: true,
-          onValueChange: () => {},
-          disabled: !notifications,
+          value: notificationsEnabled,
+          onValueChange: (value) => updatePreferences({ notificationsEnabled: value }),
         }
       ]
     },
@@ -114,7 +120,7 @@ const SettingsScreen = ({ navigation }) => {
           subtitle: 'Coming soon in future updates',
           emoji: '🌙',
           value: darkMode,
-          onValueChange: setDarkMode,
+          onValueChange: (value) => updatePreferences({ darkMode: value }),
           disabled: true,
         }
       ]
@@ -158,6 +164,15 @@ const SettingsScreen = ({ navigation }) => {
           onPress: handleExportData,
           color: '#2196F3',
         },
+        {
+          id: 'import-data',
+          type: 'action',
+          title: 'Import My Data',
+          subtitle: 'Restore whispers from an export file',
+          emoji: '📥',
+          onPress: handleImportData,
+          color: '#4CAF50',
+        },
         {
           id: 'clear-data',
           type: 'danger',
@@ -169,7 +184,7 @@ const SettingsScreen = ({ navigation }) => {
         }
       ]
     }
-  ], [notifications, autoLocation, darkMode]);
+  ], [notificationsEnabled, autoLocation, darkMode, updatePreferences, setAutoLocation]);
 
   const handleRadiusChange = useCallback(async (value) => {
     try {
@@ -186,16 +201,129 @@ const SettingsScreen = ({ navigation }) => {
   }, [setLocationRadius]);
 
   function handleExportData() {
+    setPassphraseError('');
+    setPassphrasePrompt({ mode: 'export' });
+  }
+
+  // Without a passphrase the export can restore whispers but can't prove
+  // they're yours, so an import elsewhere can't take them over
+  async function exportWithPassphrase(passphrase) {
+    setPassphrasePrompt(null);
+    setLoading(true);
+    try {
+      const archive = await exportUserData(passphrase);
+      await Share.share({
+        title: 'Whisper Walls Export',
+        message: JSON.stringify(archive, null, 2),
+      });
+    } catch (error) {
+      console.error('Export data error:', error);
+      Alert.alert('❌ Error', 'Failed to export your data. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleImportData() {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/plain'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const contents = await FileSystem.readAsStringAsync(result.assets[0].uri);
+      const { document, errors } = parseExport(contents);
+
+      if (!document) {
+        Alert.alert('❌ Invalid File', errors.slice(0, 3).join('\n'));
+        return;
+      }
+
+      if (document.user.sealedIdentity) {
+        setPassphraseError('');
+        setPassphrasePrompt({ mode: 'import', document });
+      } else {
+        confirmImport(document, null);
+      }
+    } catch (error) {
+      console.error('Import file error:', error);
+      Alert.alert('❌ Error', 'Could not read that file. Please try again.');
+    }
+  }
+
+  async function importWithPassphrase(passphrase) {
+    const { document } = passphrasePrompt;
+    setUnlocking(true);
+    try {
+      const archivedIdentity = await unlockArchiveIdentity(document, passphrase);
+      if (!archivedIdentity) {
+        setPassphraseError('That passphrase doesn\'t unlock this archive.');
+        return;
+      }
+      setPassphrasePrompt(null);
+      confirmImport(document, archivedIdentity);
+    } finally {
+      setUnlocking(false);
+    }
+  }
+
+  function confirmImport(document, archivedIdentity) {
+    const count = `${document.whispers.length} whisper${document.whispers.length === 1 ? '' : 's'}`;
+
     Alert.alert(
-      '📁 Export Data',
-      'This feature will be available soon. You will be able to download all your whispers as a secure JSON file.',
+      '📥 Import Data',
+      archivedIdentity
+        ? `This archive has ${count}. Importing makes this device their owner again, so you can edit and delete them here. Whispers already posted from this device move across too.`
+        : `This archive has ${count}. Ones no longer on the wall are restored as whispers from this device. Ones still there stay with the device that posted them, since the archive has no passphrase to prove they're yours.`,
       [
-        { text: 'Notify Me', onPress: () => {} },
-        { text: 'OK' }
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Import',
+          onPress: async () => {
+            setLoading(true);
+            try {
+              const { restored, skipped, adopted } = await importUserData(document, archivedIdentity);
+              Alert.alert(
+                '✅ Import Complete',
+                `${adopted ? 'Your whispers are yours again. ' : ''}Restored ${restored} whisper${restored === 1 ? '' : 's'}${skipped > 0 ? `, skipped ${skipped} already present or faded` : ''}.`
+              );
+            } catch (error) {
+              console.error('Import data error:', error);
+              Alert.alert('❌ Error', 'Failed to import your data. Please try again.');
+            } finally {
+              setLoading(false);
+            }
+          }
+        }
       ]
     );
   }
 
+  const passphraseSheet = passphrasePrompt?.mode === 'import'
+    ? {
+      title: 'Unlock Archive',
+      message: 'Enter the passphrase this archive was exported with to take its whispers over on this device.',
+      confirm: false,
+      submitLabel: 'Unlock',
+      skipLabel: 'Import without it',
+      onSubmit: importWithPassphrase,
+      onSkip: () => {
+        const { document } = passphrasePrompt;
+        setPassphrasePrompt(null);
+        confirmImport(document, null);
+      }
+    }
+    : {
+      title: 'Protect Your Export',
+      message: 'Choose a passphrase to seal your anonymous identity into the export. With it you can take your whispers over on another device.',
+      confirm: true,
+      submitLabel: 'Export',
+      skipLabel: 'Export without it',
+      onSubmit: exportWithPassphrase,
+      onSkip: () => exportWithPassphrase(null)
+    };
+
   function handleClearData() {
     Alert.alert(
       '⚠️ Clear All Data',
@@ -208,11 +336,11 @@ const SettingsScreen = ({ navigation }) => {
           onPress: async () => {
             setLoading(true);
             try {
-              await new Promise(resolve => setTimeout(resolve, 1000));
-              Alert.alert('✅ Success', 'All data has been cleared successfully.');
+              // The app resets to onboarding once everything is gone
+              await clearAllData();
             } catch (error) {
-              Alert.alert('❌ Error', 'Failed to clear data. Please try again.');
-            } finally {
+              console.error('Clear data error:', error);
+              Alert.alert('❌ Error', 'Failed to clear data. Please check your connection and try again.');
               setLoading(false);
             }
           }
@@ -564,6 +692,14 @@ const SettingsScreen = ({ navigation }) => {
 
         <AppInfo />
       </ScrollView>
+
+      <PassphraseModal
+        visible={!!passphrasePrompt}
+        {...passphraseSheet}
+        busy={unlocking}
+        error={passphraseError}
+        onClose={() => setPassphrasePrompt(null)}
+      />
     </View>
   );
 };
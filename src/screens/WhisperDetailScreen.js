@@ -0,0 +1,372 @@
+// src/screens/WhisperDetailScreen.js
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  StatusBar,
+  KeyboardAvoidingView,
+  ActivityIndicator,
+  Alert,
+  Platform
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useApp } from '../context/AppContext';
+import { COLORS, SIZES, SHADOWS } from '../constants/theme';
+import { formatTimestamp, validateWhisperText } from '../utils/helpers';
+import { moderateText } from '../services/moderation';
+import WhisperCard from '../components/WhisperCard';
+import useWhisperActions from '../hooks/useWhisperActions';
+
+const MAX_REPLY_LENGTH = 400;
+
+const WhisperDetailScreen = ({ navigation, route }) => {
+  const { whisperId } = route.params;
+  const {
+    whispers,
+    replies,
+    loadReplies,
+    addReply,
+    toggleLike,
+    reactToWhisper,
+    editWhisper
+  } = useApp();
+  // A reported or deleted whisper takes its thread with it
+  const { handleReportWhisper, handleDeleteWhisper } = useWhisperActions({ onGone: navigation.goBack });
+  const [text, setText] = useState('');
+  const [loadingThread, setLoadingThread] = useState(true);
+  const [isSending, setIsSending] = useState(false);
+  const [validationError, setValidationError] = useState('');
+
+  const whisper = useMemo(
+    () => whispers.find(item => item.id === whisperId),
+    [whispers, whisperId]
+  );
+  const thread = replies[whisperId] || [];
+
+  useEffect(() => {
+    let active = true;
+    loadReplies(whisperId).finally(() => {
+      if (active) setLoadingThread(false);
+    });
+    return () => {
+      active = false;
+    };
+  }, [whisperId]);
+
+  const handleTextChange = useCallback((newText) => {
+    setText(newText);
+    setValidationError('');
+  }, []);
+
+  const handleSend = useCallback(async () => {
+    // Replies follow the same rules as whispers
+    const validation = validateWhisperText(text);
+    if (!validation.isValid) {
+      setValidationError(validation.errors[0]);
+      return;
+    }
+
+    // Replies go straight to one person, so hurtful ones are not sent
+    const { action } = moderateText(text);
+    if (action === 'block' || action === 'warn') {
+      Alert.alert(
+        'Content Guidelines',
+        'Your reply contains content that goes against our community guidelines. Please revise it to keep this a positive space.',
+        [{ text: 'Edit Reply' }]
+      );
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      const success = await addReply(whisperId, text.trim());
+      if (!success) {
+        throw new Error('Failed to post reply');
+      }
+      setText('');
+    } catch (error) {
+      console.error('Post reply error:', error);
+      Alert.alert(
+        'Something Went Wrong',
+        'We couldn\'t send your reply right now. Please check your connection and try again.'
+      );
+    } finally {
+      setIsSending(false);
+    }
+  }, [text, whisperId, addReply]);
+
+  // A reported whisper leaves the wall, so leave its thread too
+  const renderReply = useCallback(({ item }) => (
+    <View style={styles.replyItem}>
+      <View style={styles.replyHeader}>
+        <Text style={styles.replyAuthor}>👤 Anonymous</Text>
+        <Text style={styles.replyTime}>{formatTimestamp(item.timestamp)}</Text>
+      </View>
+      <Text style={styles.replyText}>{item.text}</Text>
+    </View>
+  ), []);
+
+  const renderHeader = useCallback(() => (
+    <View>
+      {whisper && (
+        <WhisperCard
+          whisper={whisper}
+          onLike={toggleLike}
+          onReact={reactToWhisper}
+          onReport={handleReportWhisper}
+          onEdit={editWhisper}
+          onDelete={handleDeleteWhisper}
+        />
+      )}
+      <Text style={styles.threadTitle}>
+        {thread.length} {thread.length === 1 ? 'Reply' : 'Replies'}
+      </Text>
+    </View>
+  ), [whisper, toggleLike, reactToWhisper, handleReportWhisper, editWhisper, handleDeleteWhisper, thread.length]);
+
+  const renderEmpty = useCallback(() => (
+    loadingThread ? (
+      <ActivityIndicator color={COLORS.primary} style={styles.threadLoading} />
+    ) : (
+      <View style={styles.emptyState}>
+        <Text style={styles.emptyStateEmoji}>💬</Text>
+        <Text style={styles.emptyStateTitle}>No replies yet</Text>
+        <Text style={styles.emptyStateDescription}>
+          Start the conversation with a kind word.
+        </Text>
+      </View>
+    )
+  ), [loadingThread]);
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <StatusBar barStyle="light-content" backgroundColor={COLORS.primary} />
+
+      {/* Header */}
+      <LinearGradient
+        colors={[COLORS.primaryLight, COLORS.primary]}
+        style={styles.header}
+      >
+        <View style={styles.headerContent}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Text style={styles.backButtonText}>‹</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Conversation</Text>
+          <View style={styles.headerSpacer} />
+        </View>
+      </LinearGradient>
+
+      {whisper ? (
+        <>
+          <FlatList
+            data={thread}
+            renderItem={renderReply}
+            keyExtractor={item => item.id}
+            ListHeaderComponent={renderHeader}
+            ListEmptyComponent={renderEmpty}
+            contentContainerStyle={styles.listContent}
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+          />
+
+          {/* Reply composer */}
+          <View style={styles.composer}>
+            {validationError ? (
+              <Text style={styles.errorText}>⚠️ {validationError}</Text>
+            ) : null}
+            <View style={styles.composerRow}>
+              <TextInput
+                style={styles.composerInput}
+                placeholder="Reply anonymously..."
+                placeholderTextColor={COLORS.textMuted}
+                value={text}
+                onChangeText={handleTextChange}
+                maxLength={MAX_REPLY_LENGTH}
+                multiline
+              />
+              <TouchableOpacity
+                style={[styles.sendButton, (!text.trim() || isSending) && styles.disabledSendButton]}
+                onPress={handleSend}
+                disabled={!text.trim() || isSending}
+                activeOpacity={0.8}
+              >
+                {isSending ? (
+                  <ActivityIndicator size="small" color="white" />
+                ) : (
+                  <Text style={styles.sendButtonText}>Send</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </>
+      ) : (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyStateEmoji}>🍃</Text>
+          <Text style={styles.emptyStateTitle}>This whisper has faded</Text>
+          <Text style={styles.emptyStateDescription}>
+            It may have expired or moved out of your area.
+          </Text>
+        </View>
+      )}
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    paddingTop: 50,
+    paddingBottom: SIZES.medium,
+    paddingHorizontal: SIZES.large,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backButtonText: {
+    color: 'white',
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  headerTitle: {
+    color: 'white',
+    fontSize: SIZES.h3,
+    fontWeight: '600',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  listContent: {
+    padding: SIZES.large,
+    paddingBottom: SIZES.xlarge,
+  },
+  threadTitle: {
+    fontSize: SIZES.h5,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SIZES.medium,
+  },
+  threadLoading: {
+    marginTop: SIZES.large,
+  },
+  replyItem: {
+    backgroundColor: 'white',
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.medium,
+    marginBottom: SIZES.small,
+    borderLeftWidth: 3,
+    borderLeftColor: COLORS.primaryLight,
+    ...SHADOWS.small,
+  },
+  replyHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: SIZES.base,
+  },
+  replyAuthor: {
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+    fontWeight: '600',
+  },
+  replyTime: {
+    fontSize: SIZES.small,
+    color: COLORS.textMuted,
+  },
+  replyText: {
+    fontSize: SIZES.caption,
+    color: COLORS.text,
+    lineHeight: 20,
+  },
+  composer: {
+    backgroundColor: 'white',
+    paddingHorizontal: SIZES.large,
+    paddingVertical: SIZES.medium,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.lightGray,
+  },
+  composerRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  composerInput: {
+    flex: 1,
+    maxHeight: 100,
+    fontSize: SIZES.caption,
+    color: COLORS.text,
+    backgroundColor: COLORS.background,
+    borderRadius: SIZES.radiusLarge,
+    paddingHorizontal: SIZES.medium,
+    paddingVertical: SIZES.small,
+    marginRight: SIZES.small,
+  },
+  sendButton: {
+    backgroundColor: COLORS.primary,
+    borderRadius: SIZES.radiusLarge,
+    paddingHorizontal: SIZES.medium,
+    paddingVertical: SIZES.small,
+    minWidth: 64,
+    alignItems: 'center',
+  },
+  disabledSendButton: {
+    opacity: 0.5,
+  },
+  sendButtonText: {
+    color: 'white',
+    fontSize: SIZES.caption,
+    fontWeight: '600',
+  },
+  errorText: {
+    fontSize: SIZES.small,
+    color: '#FF5252',
+    marginBottom: SIZES.small,
+  },
+  emptyState: {
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: SIZES.radiusLarge,
+    padding: SIZES.xlarge,
+    margin: SIZES.large,
+    ...SHADOWS.medium,
+  },
+  emptyStateEmoji: {
+    fontSize: 48,
+    marginBottom: SIZES.medium,
+  },
+  emptyStateTitle: {
+    fontSize: SIZES.h4,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SIZES.small,
+    textAlign: 'center',
+  },
+  emptyStateDescription: {
+    fontSize: SIZES.body,
+    color: COLORS.textLight,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+});
+
+export default WhisperDetailScreen;
@@ -0,0 +1,41 @@
+// src/services/__tests__/crisisDetection.test.js
+import { detectCrisis } from '../crisisDetection';
+
+describe('detectCrisis', () => {
+  it.each([
+    'I want to die',
+    'i just wanna die tonight',
+    'I\'m going to die and nobody cares',
+    'Im ready to die.',
+    'I think about suicide a lot',
+    'I keep hurting myself',
+    'Everyone would be better off without me',
+    'I don’t want to wake up tomorrow',
+    'I can\'t go on like this',
+    'I want to end it all'
+  ])('offers support for %p', (text) => {
+    expect(detectCrisis(text).isCrisis).toBe(true);
+  });
+
+  it.each([
+    'im going to die of boredom in this meeting',
+    'Ready to die on this hill',
+    'I\'m gonna die laughing at this',
+    'Would literally die for a good taco right now, ready to die for one',
+    'going to die trying to finish this marathon',
+    'The plants are going to diet? No, they need water',
+    'I hate Mondays',
+    'Ending my shift early today'
+  ])('does not flag %p', (text) => {
+    expect(detectCrisis(text).isCrisis).toBe(false);
+  });
+
+  it('recognises other languages', () => {
+    expect(detectCrisis('main marna chahta hoon').languages).toEqual(['hi']);
+    expect(detectCrisis('No quiero vivir más').languages).toEqual(['es']);
+  });
+
+  it('treats empty text as no crisis', () => {
+    expect(detectCrisis('')).toEqual({ isCrisis: false, languages: [] });
+  });
+});
@@ -0,0 +1,128 @@
+// src/services/__tests__/dataExport.test.js
+import { buildExport, validateExport } from '../dataExport';
+import { parseExport, getWhispersToRestore } from '../dataImport';
+
+const NOW = new Date('2025-03-19T21:30:00.000Z');
+
+const user = { id: 'user_me', createdAt: '2025-01-01T00:00:00.000Z' };
+
+const whisper = (id, overrides = {}) => ({
+  id,
+  text: `Whisper ${id}`,
+  mood: 'calm',
+  timestamp: '2025-03-19T20:00:00.000Z',
+  expiresAt: null,
+  likes: 2,
+  location: { latitude: 21.17, longitude: 72.83 },
+  userId: 'user_me',
+  ...overrides
+});
+
+const createExport = () => buildExport({
+  user,
+  whispers: [
+    whisper('w1'),
+    whisper('w2', { mood: 'love', timestamp: '2025-03-18T09:00:00.000Z', expiresAt: '2025-03-25T09:00:00.000Z' }),
+    whisper('theirs', { userId: 'user_someone' })
+  ],
+  preferences: { darkMode: false },
+  likedWhisperIds: ['theirs']
+});
+
+describe('buildExport', () => {
+  it('builds a document that passes validation', () => {
+    expect(validateExport(createExport())).toEqual({ isValid: true, errors: [] });
+  });
+
+  it('only includes the user\'s own whispers', () => {
+    const document = createExport();
+
+    expect(document.whispers.map(item => item.id)).toEqual(['w1', 'w2']);
+    expect(document.likes).toEqual({ given: ['theirs'], received: 4 });
+    expect(document.moodHistory).toEqual([
+      { mood: 'love', timestamp: '2025-03-18T09:00:00.000Z' },
+      { mood: 'calm', timestamp: '2025-03-19T20:00:00.000Z' }
+    ]);
+  });
+});
+
+describe('validateExport', () => {
+  // Apply `change` to a fresh valid export and collect the errors
+  const errorsAfter = (change) => {
+    const document = createExport();
+    change(document);
+    return validateExport(document).errors;
+  };
+
+  it('rejects anything that is not an object', () => {
+    expect(validateExport(null).isValid).toBe(false);
+    expect(validateExport([]).isValid).toBe(false);
+  });
+
+  it.each([
+    ['format', doc => { doc.format = 'something-else'; }, 'Not a Whisper Walls export'],
+    ['version', doc => { doc.version = 2; }, 'Unsupported export version: 2'],
+    ['exportedAt', doc => { delete doc.exportedAt; }, 'exportedAt must be a date'],
+    ['user', doc => { delete doc.user; }, 'user.id is required'],
+    ['user.id', doc => { doc.user.id = 42; }, 'user.id is required'],
+    ['user.createdAt', doc => { doc.user.createdAt = 'yesterday'; }, 'user.createdAt must be a date'],
+    ['user.sealedIdentity', doc => { doc.user.sealedIdentity = { publicKey: 'abc' }; }, 'user.sealedIdentity is malformed'],
+    ['whispers', doc => { doc.whispers = {}; }, 'whispers must be a list'],
+    ['whisper entry', doc => { doc.whispers[0] = 'hello'; }, 'whispers[0] must be an object'],
+    ['whisper id', doc => { delete doc.whispers[0].id; }, 'whispers[0].id is required'],
+    ['whisper text', doc => { doc.whispers[0].text = '   '; }, 'whispers[0].text is required'],
+    ['whisper mood', doc => { doc.whispers[0].mood = 'angry'; }, 'whispers[0].mood is not a known mood'],
+    ['whisper timestamp', doc => { doc.whispers[0].timestamp = 12; }, 'whispers[0].timestamp must be a date'],
+    ['whisper expiresAt', doc => { doc.whispers[1].expiresAt = 'soon'; }, 'whispers[1].expiresAt must be a date or null'],
+    ['whisper likes', doc => { doc.whispers[0].likes = -1; }, 'whispers[0].likes must be a positive number'],
+    ['whisper location', doc => { doc.whispers[0].location = { latitude: '21' }; }, 'whispers[0].location must have latitude and longitude'],
+    ['likes', doc => { doc.likes = { given: 'theirs', received: 4 }; }, 'likes must list given ids and a received count'],
+    ['moodHistory', doc => { delete doc.moodHistory; }, 'moodHistory must be a list'],
+    ['preferences', doc => { doc.preferences = null; }, 'preferences must be an object']
+  ])('rejects a missing or mistyped %s', (_field, change, error) => {
+    expect(errorsAfter(change)).toEqual([error]);
+  });
+
+  it('accepts whispers from before lifetimes, with no expiresAt', () => {
+    expect(errorsAfter(doc => { delete doc.whispers[0].expiresAt; })).toEqual([]);
+  });
+});
+
+describe('parseExport', () => {
+  it('returns the document for a valid export', () => {
+    const document = createExport();
+    expect(parseExport(JSON.stringify(document))).toEqual({ document, errors: [] });
+  });
+
+  it('rejects text that is not JSON', () => {
+    expect(parseExport('not json')).toEqual({ document: null, errors: ['File is not valid JSON'] });
+  });
+
+  it('rejects a document that fails validation', () => {
+    const { document, errors } = parseExport(JSON.stringify({ ...createExport(), version: 2 }));
+
+    expect(document).toBeNull();
+    expect(errors).toContain('Unsupported export version: 2');
+  });
+});
+
+describe('getWhispersToRestore', () => {
+  const archive = {
+    ...createExport(),
+    whispers: [
+      whisper('w1'),
+      whisper('w1', { text: 'A duplicate' }),
+      whisper('stored'),
+      whisper('faded', { expiresAt: '2025-03-19T21:00:00.000Z' }),
+      whisper('fading', { expiresAt: '2025-03-20T21:00:00.000Z' })
+    ].map(({ userId, ...fields }) => fields)
+  };
+
+  it('drops duplicates, stored and faded whispers and binds the rest to the user', () => {
+    const restored = getWhispersToRestore(archive, [whisper('stored')], 'user_new', NOW);
+
+    expect(restored.map(item => item.id)).toEqual(['w1', 'fading']);
+    expect(restored[0].text).toBe('Whisper w1');
+    expect(restored.every(item => item.userId === 'user_new')).toBe(true);
+  });
+});
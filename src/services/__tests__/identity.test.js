@@ -0,0 +1,72 @@
+// src/services/__tests__/identity.test.js
+import {
+  createIdentity,
+  sealIdentity,
+  unsealIdentity,
+  signWhisper,
+  verifyWhisper
+} from '../identity';
+import { unlockArchiveIdentity } from '../dataImport';
+
+describe('sealIdentity', () => {
+  const identity = createIdentity();
+
+  it('unseals with the same passphrase', async () => {
+    const sealed = await sealIdentity(identity, 'correct horse');
+
+    expect(sealed.publicKey).toBe(identity.publicKey);
+    expect(JSON.stringify(sealed)).not.toContain(identity.secretKey);
+    await expect(unsealIdentity(sealed, 'correct horse')).resolves.toEqual(identity);
+  });
+
+  it('refuses a wrong passphrase or a tampered copy', async () => {
+    const sealed = await sealIdentity(identity, 'correct horse');
+    const otherKey = createIdentity().publicKey;
+
+    await expect(unsealIdentity(sealed, 'wrong horse')).resolves.toBeNull();
+    await expect(unsealIdentity({ ...sealed, publicKey: otherKey }, 'correct horse')).resolves.toBeNull();
+    await expect(unsealIdentity({ ...sealed, box: '00' }, 'correct horse')).resolves.toBeNull();
+  });
+
+  it('gives back a key that signs as the old identity', async () => {
+    const unsealed = await unsealIdentity(await sealIdentity(identity, 'correct horse'), 'correct horse');
+    const whisper = signWhisper(unsealed, {
+      id: 'w1',
+      userId: identity.userId,
+      text: 'still mine',
+      mood: 'calm',
+      timestamp: '2025-03-19T21:30:00.000Z',
+      expiresAt: null
+    });
+
+    expect(whisper.publicKey).toBe(identity.publicKey);
+    expect(verifyWhisper(whisper)).toBe(true);
+  });
+});
+
+describe('unlockArchiveIdentity', () => {
+  const identity = createIdentity();
+
+  const archiveFor = async (userId, sealedFrom = identity) => ({
+    user: {
+      id: userId,
+      createdAt: '2025-01-01T00:00:00.000Z',
+      sealedIdentity: await sealIdentity(sealedFrom, 'correct horse')
+    }
+  });
+
+  it('unlocks the identity of the archive user', async () => {
+    const archive = await archiveFor(identity.userId);
+    await expect(unlockArchiveIdentity(archive, 'correct horse')).resolves.toEqual(identity);
+  });
+
+  it('refuses an identity sealed for someone else', async () => {
+    const archive = await archiveFor('user_someone_else');
+    await expect(unlockArchiveIdentity(archive, 'correct horse')).resolves.toBeNull();
+  });
+
+  it('returns null for archives without a sealed identity', async () => {
+    const archive = { user: { id: identity.userId, createdAt: '2025-01-01T00:00:00.000Z' } };
+    await expect(unlockArchiveIdentity(archive, 'correct horse')).resolves.toBeNull();
+  });
+});
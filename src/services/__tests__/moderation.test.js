@@ -0,0 +1,107 @@
+// src/services/__tests__/moderation.test.js
+import {
+  DEFAULT_WORD_LIST,
+  moderateText,
+  setWordList,
+  loadWordList
+} from '../moderation';
+import { STORAGE_KEYS } from '../../constants/storage';
+
+const createStorage = (items = {}) => ({
+  getItem: jest.fn(async key => items[key] ?? null),
+  setItem: jest.fn(async (key, value) => { items[key] = value; })
+});
+
+describe('moderateText', () => {
+  beforeEach(() => {
+    setWordList(DEFAULT_WORD_LIST);
+  });
+
+  it.each([
+    'I hate Mondays',
+    'Scunthorpe',
+    'Skill yourself up',
+    'Had a classic weekend in Essex',
+    'Their assessment was fair',
+    'Looser clothes are better for yoga',
+    'I feel like such a loser today'
+  ])('allows %p', (text) => {
+    expect(moderateText(text).action).toBe('allow');
+  });
+
+  it.each([
+    'k1ll urself',
+    'kill yourself',
+    'k y s',
+    'killyourself',
+    'killlll yourself'
+  ])('blocks %p', (text) => {
+    expect(moderateText(text).action).toBe('block');
+  });
+
+  it.each([
+    'f.u.c.k',
+    'fuuuuck this',
+    'what the fück'
+  ])('blurs %p', (text) => {
+    expect(moderateText(text).action).toBe('blur');
+  });
+
+  it.each([
+    'you are such an idiot',
+    'you\'re a loser',
+    'you losers'
+  ])('asks the author to reconsider %p', (text) => {
+    expect(moderateText(text).action).toBe('warn');
+  });
+
+  it('reports the strongest severity that matched', () => {
+    const { action, matches } = moderateText('shit, kys');
+    expect(action).toBe('block');
+    expect(matches.map(match => match.severity)).toEqual(expect.arrayContaining(['blur', 'block']));
+  });
+});
+
+describe('word lists', () => {
+  const newerList = {
+    version: DEFAULT_WORD_LIST.version + 1,
+    terms: { block: ['pineapple'] }
+  };
+
+  beforeEach(() => {
+    setWordList(DEFAULT_WORD_LIST);
+  });
+
+  it('replaces the active list with setWordList', () => {
+    setWordList(newerList);
+
+    expect(moderateText('pineapple on pizza').action).toBe('block');
+    expect(moderateText('kill yourself').action).toBe('allow');
+  });
+
+  it('rejects an invalid list and keeps the current one', () => {
+    expect(() => setWordList({ version: 'two', terms: [] })).toThrow('Invalid word list');
+    expect(moderateText('kill yourself').action).toBe('block');
+  });
+
+  it('loads a newer saved list', async () => {
+    const storage = createStorage({
+      [STORAGE_KEYS.moderationWordList]: JSON.stringify(newerList)
+    });
+
+    await loadWordList(storage);
+
+    expect(moderateText('pineapple').action).toBe('block');
+    expect(moderateText('kill yourself').action).toBe('allow');
+  });
+
+  it('ignores a saved list that is not newer', async () => {
+    const storage = createStorage({
+      [STORAGE_KEYS.moderationWordList]: JSON.stringify({ ...newerList, version: DEFAULT_WORD_LIST.version })
+    });
+
+    await loadWordList(storage);
+
+    expect(moderateText('pineapple').action).toBe('allow');
+  });
+});
@@ -0,0 +1,62 @@
+// src/services/__tests__/piiScanner.test.js
+import { scanForPII, redactPII } from '../piiScanner';
+
+const types = (text) => scanForPII(text).map(span => span.type);
+
+describe('scanForPII', () => {
+  it('finds emails, phones, addresses and handles', () => {
+    expect(types('Mail me at me@example.com')).toEqual(['email']);
+    expect(types('My number is +1 (555) 123-4567')).toEqual(['phone']);
+    expect(types('I live at 221B Baker Street')).toEqual(['address']);
+    expect(types('I live at 12 MG Road')).toEqual(['address']);
+    expect(types('Find me on insta @night_owl')).toEqual(['handle']);
+  });
+
+  it.each([
+    'He walked 3 miles down the road',
+    'only 1 way out',
+    '2 more days at court',
+    'We took 2 wrong turns off the main road',
+    'She found her place after 5 long years'
+  ])('does not treat %p as an address', (text) => {
+    expect(types(text)).toEqual([]);
+  });
+
+  it.each([
+    'Her birthday is 2024-10-19',
+    'See you on 19.10.2024',
+    'Due 2024.01.05 at noon',
+    'Pi is 3.14159265',
+    'Born in 1999 2000 2001',
+    'I got 100 200 300 likes',
+    'I ran 5 10 15 20 km'
+  ])('does not treat %p as a phone number', (text) => {
+    expect(types(text)).toEqual([]);
+  });
+
+  it.each([
+    'Call me on 555-123-4567',
+    'Call me on 555.123.4567',
+    'My number is +91 98765 43210',
+    'Ring (020) 7946 0018',
+    'Text me 9876543210'
+  ])('still finds the phone number in %p', (text) => {
+    expect(types(text)).toEqual(['phone']);
+  });
+
+  it('works out whose details they are', () => {
+    expect(scanForPII('My email is me@example.com')[0].belongsToOther).toBe(false);
+    expect(scanForPII('His number is 555-123-4567')[0].belongsToOther).toBe(true);
+    expect(scanForPII('Call Priya at 555-123-4567')[0].belongsToOther).toBe(true);
+    expect(scanForPII('Call mom at 9876543210')[0].belongsToOther).toBe(true);
+    expect(scanForPII('Text my brother on 9876543210')[0].belongsToOther).toBe(true);
+    expect(scanForPII('My mom says call me at 9876543210')[0].belongsToOther).toBe(false);
+  });
+});
+
+describe('redactPII', () => {
+  it('replaces details with placeholders', () => {
+    expect(redactPII('Text 555-123-4567 or me@example.com'))
+      .toBe('Text [phone] or [email]');
+  });
+});
@@ -0,0 +1,43 @@
+// src/services/__tests__/preferencesStore.test.js
+import { DEFAULT_PREFERENCES, PREFERENCES_VERSION, loadPreferences } from '../preferencesStore';
+import { STORAGE_KEYS } from '../../constants/storage';
+
+const createStorage = (items = {}) => ({
+  items,
+  getItem: jest.fn(async key => items[key] ?? null),
+  setItem: jest.fn(async (key, value) => { items[key] = value; }),
+  removeItem: jest.fn(async key => { delete items[key]; })
+});
+
+describe('loadPreferences', () => {
+  it('starts from the defaults', async () => {
+    expect(await loadPreferences(createStorage())).toEqual(DEFAULT_PREFERENCES);
+  });
+
+  it('moves the radius saved before versioned preferences', async () => {
+    const storage = createStorage({ [STORAGE_KEYS.locationRadius]: '5000' });
+
+    const preferences = await loadPreferences(storage);
+
+    expect(preferences.locationRadius).toBe(5000);
+    expect(storage.items[STORAGE_KEYS.locationRadius]).toBeUndefined();
+  });
+
+  it('drops the notification sound setting saved by version 1', async () => {
+    const storage = createStorage({
+      [STORAGE_KEYS.preferences]: JSON.stringify({
+        version: 1,
+        values: { ...DEFAULT_PREFERENCES, darkMode: true, notificationSounds: false }
+      })
+    });
+
+    const preferences = await loadPreferences(storage);
+
+    expect(preferences).not.toHaveProperty('notificationSounds');
+    expect(preferences.darkMode).toBe(true);
+    expect(JSON.parse(storage.items[STORAGE_KEYS.preferences])).toEqual({
+      version: PREFERENCES_VERSION,
+      values: preferences
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// src/services/__tests__/storedCollection.test.js
+import { createStoredCollection, cacheStoredCollection } from '../storedCollection';
+
+const createStorage = (items = {}) => ({
+  items,
+  getItem: jest.fn(async key => items[key] ?? null),
+  setItem: jest.fn(async (key, value) => { items[key] = value; })
+});
+
+describe('createStoredCollection', () => {
+  const notes = createStoredCollection({
+    key: 'notes',
+    name: 'Notes',
+    prepare: items => items.sort((a, b) => a.order - b.order)
+  });
+
+  it('starts empty and prepares what was saved', async () => {
+    expect(await notes.load(createStorage())).toEqual([]);
+
+    const storage = createStorage({ notes: JSON.stringify([{ order: 2 }, { order: 1 }]) });
+    expect(await notes.load(storage)).toEqual([{ order: 1 }, { order: 2 }]);
+  });
+
+  it('falls back to empty when what was saved is unreadable or the wrong shape', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const map = createStoredCollection({ key: 'map', name: 'Map', empty: () => ({}) });
+
+    expect(await notes.load(createStorage({ notes: '{not json' }))).toEqual([]);
+    expect(await notes.load(createStorage({ notes: '{"a":1}' }))).toEqual([]);
+    expect(await map.load(createStorage({ map: '[1, 2]' }))).toEqual({});
+    expect(error).toHaveBeenCalledTimes(1);
+
+    error.mockRestore();
+  });
+
+  it('saves the result of an update', async () => {
+    const storage = createStorage();
+
+    const updated = await notes.update(storage, items => [...items, { order: 1 }]);
+
+    expect(updated).toEqual([{ order: 1 }]);
+    expect(JSON.parse(storage.items.notes)).toEqual(updated);
+  });
+});
+
+describe('cacheStoredCollection', () => {
+  const map = createStoredCollection({ key: 'map', name: 'Map', empty: () => ({}) });
+
+  it('reads storage only once', async () => {
+    const storage = createStorage({ map: '{"a":1}' });
+    const cached = cacheStoredCollection(map, storage);
+
+    await cached.load();
+    await cached.save({ a: 2 });
+
+    expect(await cached.load()).toEqual({ a: 2 });
+    expect(storage.getItem).toHaveBeenCalledTimes(1);
+    expect(storage.items.map).toBe('{"a":2}');
+  });
+
+  it('lives in memory without storage', async () => {
+    const cached = cacheStoredCollection(map);
+
+    await cached.save({ a: 1 });
+
+    expect(await cached.load()).toEqual({ a: 1 });
+  });
+});
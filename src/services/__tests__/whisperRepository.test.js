@@ -0,0 +1,199 @@
+// src/services/__tests__/whisperRepository.test.js
+import {
+  createLocalWhisperRepository,
+  createHttpWhisperRepository,
+  REPORT_HIDE_THRESHOLD
+} from '../whisperRepository';
+
+const createStorage = (items = {}) => ({
+  getItem: jest.fn(async key => items[key] ?? null),
+  setItem: jest.fn(async (key, value) => { items[key] = value; })
+});
+
+const ORIGIN = { latitude: 21.17, longitude: 72.83 };
+
+const whisper = (id, overrides = {}) => ({
+  id,
+  text: `Whisper ${id}`,
+  mood: 'calm',
+  timestamp: new Date().toISOString(),
+  expiresAt: null,
+  likes: 0,
+  location: ORIGIN,
+  userId: 'user_author',
+  ...overrides
+});
+
+const proof = (userId) => ({ userId, publicKey: 'key', signedAt: new Date().toISOString(), signature: 'sig' });
+
+describe('createLocalWhisperRepository', () => {
+  it('only returns whispers inside the radius', async () => {
+    const repository = createLocalWhisperRepository({
+      seed: [
+        whisper('near'),
+        // About 1.1km north
+        whisper('far', { location: { latitude: ORIGIN.latitude + 0.01, longitude: ORIGIN.longitude } }),
+        whisper('nowhere', { location: null })
+      ]
+    });
+
+    const nearby = await repository.fetchNearby({ ...ORIGIN, radius: 500 });
+    const wider = await repository.fetchNearby({ ...ORIGIN, radius: 2000 });
+
+    expect(nearby.map(item => item.id)).toEqual(['near']);
+    expect(wider.map(item => item.id)).toEqual(['near', 'far']);
+  });
+
+  it('leaves out faded whispers', async () => {
+    const repository = createLocalWhisperRepository({
+      seed: [whisper('fresh'), whisper('faded', { expiresAt: new Date(Date.now() - 1000).toISOString() })]
+    });
+
+    expect((await repository.fetchNearby({ ...ORIGIN, radius: 500 })).map(item => item.id)).toEqual(['fresh']);
+  });
+
+  it('returns the stored copy when a whisper is posted twice', async () => {
+    const storage = createStorage();
+    const repository = createLocalWhisperRepository({ seed: [], storage });
+
+    const first = await repository.postWhisper(whisper('w1'));
+    await repository.likeWhisper('w1', proof('user_fan'));
+    const repeat = await repository.postWhisper(whisper('w1', { text: 'changed' }));
+
+    expect(repeat).toEqual({ ...first, likes: 1 });
+    expect(await repository.fetchUserWhispers('user_author')).toHaveLength(1);
+  });
+
+  it('counts a second like from the same user once', async () => {
+    const repository = createLocalWhisperRepository({ seed: [whisper('w1')] });
+
+    await repository.likeWhisper('w1', proof('user_fan'));
+    const liked = await repository.likeWhisper('w1', proof('user_fan'));
+    expect(liked.likes).toBe(1);
+    expect(await repository.fetchLikedWhisperIds('user_fan')).toEqual(['w1']);
+
+    const unliked = await repository.unlikeWhisper('w1', proof('user_fan'));
+    expect(unliked.likes).toBe(0);
+    expect((await repository.unlikeWhisper('w1', proof('user_fan'))).likes).toBe(0);
+  });
+
+  it('hides a whisper once enough different users report it', async () => {
+    const repository = createLocalWhisperRepository({ seed: [whisper('w1')] });
+
+    for (let i = 1; i < REPORT_HIDE_THRESHOLD; i++) {
+      await repository.reportWhisper('w1', 'spam', proof(`user_${i}`));
+    }
+    // Repeat reports from the same user don't count
+    const repeated = await repository.reportWhisper('w1', 'spam', proof('user_1'));
+    expect(repeated.hidden).toBeFalsy();
+    expect(await repository.fetchNearby({ ...ORIGIN, radius: 500 })).toHaveLength(1);
+
+    const hidden = await repository.reportWhisper('w1', 'spam', proof('user_last'));
+    expect(hidden).toMatchObject({ hidden: true, reportCount: REPORT_HIDE_THRESHOLD });
+    expect(await repository.fetchNearby({ ...ORIGIN, radius: 500 })).toEqual([]);
+  });
+
+  describe('edit and delete', () => {
+    const createRepository = () => createLocalWhisperRepository({
+      seed: [
+        whisper('recent'),
+        whisper('old', { timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString() })
+      ]
+    });
+
+    it('lets the author edit within the edit window', async () => {
+      const repository = createRepository();
+      const edited = await repository.editWhisper(
+        { id: 'recent', text: 'Edited', editedAt: new Date().toISOString() },
+        proof('user_author')
+      );
+
+      expect(edited.text).toBe('Edited');
+      expect(edited.editedAt).toBeDefined();
+    });
+
+    it('refuses someone else with 403', async () => {
+      const repository = createRepository();
+
+      await expect(repository.editWhisper({ id: 'recent', text: 'Mine now' }, proof('user_other')))
+        .rejects.toMatchObject({ status: 403 });
+      await expect(repository.deleteWhisper('recent', proof('user_other')))
+        .rejects.toMatchObject({ status: 403 });
+      expect(await repository.fetchUserWhispers('user_author')).toHaveLength(2);
+    });
+
+    it('refuses edits after the edit window with 403', async () => {
+      const repository = createRepository();
+
+      await expect(repository.editWhisper({ id: 'old', text: 'Too late' }, proof('user_author')))
+        .rejects.toMatchObject({ status: 403 });
+    });
+
+    it('answers 404 for a whisper that does not exist', async () => {
+      const repository = createRepository();
+
+      await expect(repository.editWhisper({ id: 'missing', text: 'Hello' }, proof('user_author')))
+        .rejects.toMatchObject({ status: 404 });
+      await expect(repository.deleteWhisper('missing', proof('user_author')))
+        .rejects.toMatchObject({ status: 404 });
+    });
+
+    it('deletes the author\'s whisper', async () => {
+      const repository = createRepository();
+
+      await repository.deleteWhisper('recent', proof('user_author'));
+      expect((await repository.fetchUserWhispers('user_author')).map(item => item.id)).toEqual(['old']);
+    });
+  });
+});
+
+describe('createHttpWhisperRepository', () => {
+  const baseUrl = 'https://whispers.example';
+  const originalFetch = global.fetch;
+
+  const respond = (status, body) => Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('queries nearby whispers with the location and radius', async () => {
+    global.fetch = jest.fn(() => respond(200, [whisper('w1')]));
+    const repository = createHttpWhisperRepository({ baseUrl });
+
+    await repository.fetchNearby({ ...ORIGIN, radius: 500 });
+
+    expect(global.fetch.mock.calls[0][0]).toBe(`${baseUrl}/whispers?lat=21.17&lng=72.83&radius=500`);
+  });
+
+  it('rejects refused requests with their status', async () => {
+    global.fetch = jest.fn(() => respond(403, { error: 'forbidden' }));
+    const repository = createHttpWhisperRepository({ baseUrl });
+
+    await expect(repository.deleteWhisper('w1', proof('user_other')))
+      .rejects.toMatchObject({ status: 403 });
+  });
+
+  it('falls back to the last wall it saw when offline', async () => {
+    const storage = createStorage();
+    global.fetch = jest.fn(() => respond(200, [whisper('w1')]));
+    const repository = createHttpWhisperRepository({ baseUrl, storage });
+    await repository.fetchNearby(ORIGIN);
+
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Network request failed')));
+    const cached = await repository.fetchNearby(ORIGIN);
+
+    expect(cached.map(item => item.id)).toEqual(['w1']);
+  });
+
+  it('rethrows when offline with nothing cached', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Network request failed')));
+    const repository = createHttpWhisperRepository({ baseUrl, storage: createStorage() });
+
+    await expect(repository.fetchNearby(ORIGIN)).rejects.toThrow('Network request failed');
+  });
+});
@@ -0,0 +1,90 @@
+// src/services/activityLog.js
+import { STORAGE_KEYS } from '../constants/storage';
+import { createStoredCollection } from './storedCollection';
+import { toDayKey } from '../utils/helpers';
+
+// Days of history kept; enough for the longest streak over a year
+const MAX_DAYS = 400;
+
+// Log shape: { 'YYYY-MM-DD': types[] } keyed by local date, where a type
+// is what the user did that day: 'open', 'post' or 'react'
+
+// The day before a day key
+const previousDayKey = (dayKey) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return toDayKey(new Date(year, month - 1, day - 1));
+};
+
+const activityLog = createStoredCollection({
+  key: STORAGE_KEYS.activityLog,
+  name: 'Activity log',
+  empty: () => ({})
+});
+
+export const loadActivityLog = activityLog.load;
+
+// Note that the user did `type` today. Returns the updated log.
+export const recordActivity = async (storage, type, date = new Date()) => {
+  const log = await loadActivityLog(storage);
+  const dayKey = toDayKey(date);
+  const types = log[dayKey] || [];
+  if (types.includes(type)) return log;
+
+  const days = Object.keys({ ...log, [dayKey]: types }).sort().slice(-MAX_DAYS);
+  const updated = days.reduce((acc, day) => {
+    acc[day] = day === dayKey ? [...types, type] : log[day];
+    return acc;
+  }, {});
+
+  await activityLog.save(storage, updated);
+  return updated;
+};
+
+// Streaks count consecutive active days. The current streak still counts
+// if today hasn't been active yet but yesterday was.
+export const getActivityStats = (log, now = new Date()) => {
+  const days = Object.keys(log).filter(day => log[day].length > 0).sort();
+  const active = new Set(days);
+
+  let longestStreak = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && previousDayKey(day) === days[index - 1] ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  let currentStreak = 0;
+  let day = toDayKey(now);
+  if (!active.has(day)) {
+    day = previousDayKey(day);
+  }
+  while (active.has(day)) {
+    currentStreak += 1;
+    day = previousDayKey(day);
+  }
+
+  const monthPrefix = toDayKey(now).slice(0, 7);
+
+  return {
+    currentStreak,
+    longestStreak,
+    activeDaysThisMonth: days.filter(key => key.startsWith(monthPrefix)).length,
+    totalActiveDays: days.length
+  };
+};
+
+// When this user joined. Saved the first time it's asked for; installs
+// from before it was saved fall back to `fallback` (e.g. their oldest
+// whisper).
+export const loadOrCreateMemberSince = async (storage, fallback = new Date()) => {
+  const stored = await storage.getItem(STORAGE_KEYS.memberSince);
+  if (stored) return new Date(stored);
+
+  const memberSince = new Date(fallback);
+  await saveMemberSince(storage, memberSince);
+  return memberSince;
+};
+
+export const saveMemberSince = (storage, date) => (
+  storage.setItem(STORAGE_KEYS.memberSince, new Date(date).toISOString())
+);
@@ -0,0 +1,67 @@
+// src/services/crisisDetection.js
+
+// Phrases that suggest someone may be thinking about harming themselves.
+// Everything runs on the device; nothing is sent anywhere. Detection never
+// blocks a whisper, it only offers support.
+const CRISIS_PATTERNS = {
+  en: [
+    /\b(?:kill(?:ing)?|hurt(?:ing)?|harm(?:ing)?|cut(?:ting)?)\s+my\s?self\b/,
+    /\bsuicid(?:e|al)\b/,
+    /\bend(?:ing)?\s+(?:it\s+all|my\s+life|everything)\b/,
+    // Not idioms like "going to die of boredom" or "ready to die on this hill"
+    /\b(?:want|wanna|going|gonna|ready)\s+(?:to\s+)?die\b(?!\s+(?:of|on|for|from|laughing|trying|happy)\b)/,
+    /\bbetter\s+off\s+(?:dead|without\s+me)\b/,
+    /\bno\s+(?:reason|point)\s+(?:to|in)\s+(?:live|living|go(?:ing)?\s+on)\b/,
+    /\b(?:don'?t|do\s+not)\s+want\s+to\s+(?:live|be\s+alive|wake\s+up)\b/,
+    /\bcan'?t\s+(?:go\s+on|do\s+this\s+anymore|take\s+it\s+anymore)\b/,
+    /\bnobody\s+would\s+(?:miss\s+me|care\s+if\s+i)\b/,
+    /\bself[\s-]?harm\b/,
+    /\boverdos(?:e|ing)\b/,
+  ],
+  hi: [
+    /आत्महत्या/,
+    /खुदकुशी/,
+    /मर\s?जाना\s+(?:चाहता|चाहती)/,
+    /जीना\s+नहीं\s+(?:चाहता|चाहती)/,
+    /जीने\s+का\s+(?:कोई\s+)?मन\s+नहीं/,
+    /\b(?:marna|mar\s+jana)\s+(?:chahta|chahti)\b/,
+    /\bjeena\s+nahi\s+(?:chahta|chahti)\b/,
+    /\bjeene\s+ka\s+(?:koi\s+)?man\s+nahi\b/,
+    /\b(?:khudkushi|aatmahatya|atmahatya)\b/,
+  ],
+  gu: [
+    /આત્મહત્યા/,
+    /મરી\s?જવું\s+છે/,
+    /જીવવું\s+નથી/,
+  ],
+  es: [
+    /\bsuicid(?:io|arme)\b/,
+    /\bquiero\s+morir(?:me)?\b/,
+    /\bno\s+quiero\s+vivir\b/,
+    /\bmatarme\b/,
+  ],
+};
+
+const normalize = (text) => (
+  text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[’‘]/g, '\'')
+    .replace(/\s+/g, ' ')
+);
+
+// Check text for crisis language.
+// Returns { isCrisis, languages } where languages lists every match.
+export const detectCrisis = (text) => {
+  if (!text) return { isCrisis: false, languages: [] };
+
+  const normalized = normalize(text);
+  const languages = Object.keys(CRISIS_PATTERNS).filter(language => (
+    CRISIS_PATTERNS[language].some(pattern => pattern.test(normalized))
+  ));
+
+  return {
+    isCrisis: languages.length > 0,
+    languages
+  };
+};
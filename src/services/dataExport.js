@@ -0,0 +1,175 @@
+// src/services/dataExport.js
+import { MOODS } from '../constants/theme';
+
+export const EXPORT_FORMAT = 'whisper-walls-export';
+export const EXPORT_VERSION = 1;
+
+// Export document schema (version 1)
+//
+// {
+//   format: 'whisper-walls-export',
+//   version: 1,
+//   exportedAt: ISO date string,
+//   user: {
+//     id: string,
+//     createdAt: ISO date string,
+//     // Optional. The identity sealed with the user's passphrase (see
+//     // sealIdentity in services/identity); the id is only taken over on
+//     // import when this unlocks to it.
+//     sealedIdentity: { publicKey, kdf: { name, N, r, p, salt }, nonce, box }
+//   },
+//   whispers: [{
+//     id: string,
+//     text: string,
+//     mood: 'calm' | 'love' | 'dear' | 'greed',
+//     timestamp: ISO date string,
+//     expiresAt: ISO date string | null,  // null never fades
+//     likes: number,
+//     location: { latitude: number, longitude: number } | null
+//   }],
+//   likes: {
+//     given: string[],   // ids of whispers this user liked
+//     received: number   // likes across this user's whispers
+//   },
+//   moodHistory: [{ mood, timestamp }],  // oldest first
+//   preferences: object
+// }
+
+const MOOD_IDS = MOODS.map(mood => mood.id);
+
+const toISOString = (value) => new Date(value).toISOString();
+
+// Build the export document for a user from app state
+export const buildExport = ({ user, whispers, preferences, likedWhisperIds = [], sealedIdentity = null }) => {
+  const ownWhispers = whispers
+    .filter(whisper => whisper.userId === user.id)
+    .map(whisper => ({
+      id: whisper.id,
+      text: whisper.text,
+      mood: whisper.mood,
+      timestamp: toISOString(whisper.timestamp),
+      expiresAt: whisper.expiresAt ? toISOString(whisper.expiresAt) : null,
+      likes: whisper.likes || 0,
+      location: whisper.location
+        ? { latitude: whisper.location.latitude, longitude: whisper.location.longitude }
+        : null
+    }));
+
+  const moodHistory = ownWhispers
+    .map(({ mood, timestamp }) => ({ mood, timestamp }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: {
+      id: user.id,
+      createdAt: toISOString(user.createdAt),
+      ...(sealedIdentity && { sealedIdentity })
+    },
+    whispers: ownWhispers,
+    likes: {
+      given: [...likedWhisperIds],
+      received: ownWhispers.reduce((sum, whisper) => sum + whisper.likes, 0)
+    },
+    moodHistory,
+    preferences: { ...preferences }
+  };
+};
+
+const isDateString = (value) => typeof value === 'string' && !isNaN(Date.parse(value));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isSealedIdentity = (value) => (
+  isObject(value) &&
+  ['publicKey', 'nonce', 'box'].every(field => typeof value[field] === 'string') &&
+  isObject(value.kdf) &&
+  typeof value.kdf.salt === 'string'
+);
+
+// Validate a parsed export document against the schema above
+export const validateExport = (document) => {
+  const errors = [];
+
+  if (!isObject(document)) {
+    return { isValid: false, errors: ['Export must be a JSON object'] };
+  }
+
+  if (document.format !== EXPORT_FORMAT) {
+    errors.push('Not a Whisper Walls export');
+  }
+
+  if (document.version !== EXPORT_VERSION) {
+    errors.push(`Unsupported export version: ${document.version}`);
+  }
+
+  if (!isDateString(document.exportedAt)) {
+    errors.push('exportedAt must be a date');
+  }
+
+  if (!isObject(document.user) || typeof document.user.id !== 'string' || !document.user.id) {
+    errors.push('user.id is required');
+  } else if (!isDateString(document.user.createdAt)) {
+    errors.push('user.createdAt must be a date');
+  } else if (document.user.sealedIdentity !== undefined && !isSealedIdentity(document.user.sealedIdentity)) {
+    errors.push('user.sealedIdentity is malformed');
+  }
+
+  if (!Array.isArray(document.whispers)) {
+    errors.push('whispers must be a list');
+  } else {
+    document.whispers.forEach((whisper, index) => {
+      if (!isObject(whisper)) {
+        errors.push(`whispers[${index}] must be an object`);
+        return;
+      }
+      if (typeof whisper.id !== 'string' || !whisper.id) {
+        errors.push(`whispers[${index}].id is required`);
+      }
+      if (typeof whisper.text !== 'string' || !whisper.text.trim()) {
+        errors.push(`whispers[${index}].text is required`);
+      }
+      if (!MOOD_IDS.includes(whisper.mood)) {
+        errors.push(`whispers[${index}].mood is not a known mood`);
+      }
+      if (!isDateString(whisper.timestamp)) {
+        errors.push(`whispers[${index}].timestamp must be a date`);
+      }
+      // Exports from before lifetimes have no expiresAt; they never fade
+      if (whisper.expiresAt != null && !isDateString(whisper.expiresAt)) {
+        errors.push(`whispers[${index}].expiresAt must be a date or null`);
+      }
+      if (typeof whisper.likes !== 'number' || whisper.likes < 0) {
+        errors.push(`whispers[${index}].likes must be a positive number`);
+      }
+      if (whisper.location !== null && (
+        !isObject(whisper.location) ||
+        typeof whisper.location.latitude !== 'number' ||
+        typeof whisper.location.longitude !== 'number'
+      )) {
+        errors.push(`whispers[${index}].location must have latitude and longitude`);
+      }
+    });
+  }
+
+  if (!isObject(document.likes) ||
+      !Array.isArray(document.likes.given) ||
+      typeof document.likes.received !== 'number') {
+    errors.push('likes must list given ids and a received count');
+  }
+
+  if (!Array.isArray(document.moodHistory)) {
+    errors.push('moodHistory must be a list');
+  }
+
+  if (!isObject(document.preferences)) {
+    errors.push('preferences must be an object');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
@@ -0,0 +1,43 @@
+// src/services/dataImport.js
+import { validateExport } from './dataExport';
+import { unsealIdentity } from './identity';
+
+// Parse an export file. Returns the document, or null with the reasons it
+// was rejected.
+export const parseExport = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    return { document: null, errors: ['File is not valid JSON'] };
+  }
+
+  const { isValid, errors } = validateExport(document);
+  return { document: isValid ? document : null, errors };
+};
+
+// Whispers from the archive that are not already stored and haven't
+// faded yet, bound to `userId`. Duplicate ids inside the archive are
+// dropped too.
+export const getWhispersToRestore = (document, existingWhispers, userId, now = new Date()) => {
+  const knownIds = new Set(existingWhispers.map(whisper => whisper.id));
+
+  return document.whispers.reduce((restored, whisper) => {
+    if (knownIds.has(whisper.id)) return restored;
+    if (whisper.expiresAt && new Date(whisper.expiresAt) <= now) return restored;
+
+    knownIds.add(whisper.id);
+    restored.push({ ...whisper, userId });
+    return restored;
+  }, []);
+};
+
+// The identity sealed in an archive, unlocked with its passphrase. Null
+// when the archive has none, the passphrase is wrong or it unlocks to
+// someone other than the archive's user.
+export const unlockArchiveIdentity = async (document, passphrase) => {
+  if (!document.user.sealedIdentity) return null;
+
+  const identity = await unsealIdentity(document.user.sealedIdentity, passphrase);
+  return identity && identity.userId === document.user.id ? identity : null;
+};
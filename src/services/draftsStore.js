@@ -0,0 +1,24 @@
+// src/services/draftsStore.js
+import { STORAGE_KEYS } from '../constants/storage';
+import { createStoredCollection } from './storedCollection';
+
+// Oldest drafts are dropped beyond this
+export const MAX_DRAFTS = 20;
+
+// Draft shape: { id, text, mood, lifetime, visibility: 'public' | 'private',
+//   updatedAt: ISO date string }
+const drafts = createStoredCollection({ key: STORAGE_KEYS.drafts, name: 'Drafts' });
+
+// Load saved drafts, most recently edited first
+export const loadDrafts = drafts.load;
+
+// Insert or update a draft and move it to the top. Returns the new list.
+export const saveDraft = (storage, draft) => drafts.update(storage, items => [
+  { ...draft, updatedAt: new Date().toISOString() },
+  ...items.filter(item => item.id !== draft.id)
+].slice(0, MAX_DRAFTS));
+
+// Remove a draft. Returns the new list.
+export const deleteDraft = (storage, draftId) => drafts.update(storage, items => (
+  items.filter(item => item.id !== draftId)
+));
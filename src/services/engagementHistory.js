@@ -0,0 +1,35 @@
+// src/services/engagementHistory.js
+import { STORAGE_KEYS } from '../constants/storage';
+import { createStoredCollection } from './storedCollection';
+import { getEngagement } from '../utils/helpers';
+
+// Snapshots kept per whisper; older ones are dropped
+export const MAX_SNAPSHOTS = 30;
+
+// History shape: { [whisperId]: [{ at: ISO date string, hearts, replies }] }
+// oldest first. The backend only knows current counts, so the app records
+// a snapshot whenever it sees them change.
+
+const engagementHistory = createStoredCollection({
+  key: STORAGE_KEYS.engagementHistory,
+  name: 'Engagement history',
+  empty: () => ({})
+});
+
+export const loadEngagementHistory = engagementHistory.load;
+
+// Record the current counts of `whispers` and forget whispers that are
+// gone. Returns the updated history.
+export const recordEngagement = (storage, whispers, now = new Date()) => (
+  engagementHistory.update(storage, history => whispers.reduce((acc, whisper) => {
+    const snapshots = history[whisper.id] || [];
+    const last = snapshots[snapshots.length - 1];
+    const hearts = getEngagement(whisper);
+    const replies = whisper.replyCount || 0;
+
+    acc[whisper.id] = last && last.hearts === hearts && last.replies === replies
+      ? snapshots
+      : [...snapshots, { at: now.toISOString(), hearts, replies }].slice(-MAX_SNAPSHOTS);
+    return acc;
+  }, {}))
+);
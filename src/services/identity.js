@@ -0,0 +1,177 @@
+// src/services/identity.js
+import nacl from 'tweetnacl';
+import * as Crypto from 'expo-crypto';
+import * as SecureStore from 'expo-secure-store';
+import { scryptAsync } from '@noble/hashes/scrypt';
+
+// Secure store key holding the device identity
+const IDENTITY_KEY = 'identity';
+
+// tweetnacl has no randomness source on Hermes, so feed it the OS CSPRNG
+nacl.setPRNG((output, length) => {
+  const bytes = Crypto.getRandomBytes(length);
+  for (let i = 0; i < length; i++) {
+    output[i] = bytes[i];
+  }
+});
+
+const encoder = new TextEncoder();
+
+export const toHex = (bytes) => (
+  Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+);
+
+export const fromHex = (hex) => (
+  Uint8Array.from(hex.match(/.{2}/g) || [], byte => parseInt(byte, 16))
+);
+
+// The anonymous id is derived from the public key, so it says nothing
+// about the device or the person holding it
+const userIdFromPublicKey = (publicKey) => `user_${toHex(publicKey).slice(0, 32)}`;
+
+// Create a new Ed25519 identity. `userId` keeps the id of an install from
+// before identities were derived from keys instead of deriving a new one.
+export const createIdentity = (userId = null) => {
+  const { publicKey, secretKey } = nacl.sign.keyPair();
+
+  return {
+    userId: userId || userIdFromPublicKey(publicKey),
+    publicKey: toHex(publicKey),
+    secretKey: toHex(secretKey)
+  };
+};
+
+export const saveIdentity = async (identity) => {
+  await SecureStore.setItemAsync(IDENTITY_KEY, JSON.stringify(identity));
+};
+
+export const deleteIdentity = async () => {
+  await SecureStore.deleteItemAsync(IDENTITY_KEY);
+};
+
+// Load the device identity, creating one on first use
+export const loadOrCreateIdentity = async ({ legacyUserId = null } = {}) => {
+  const stored = await SecureStore.getItemAsync(IDENTITY_KEY);
+  if (stored) {
+    return JSON.parse(stored);
+  }
+
+  const identity = createIdentity(legacyUserId);
+  await saveIdentity(identity);
+  return identity;
+};
+
+export const signMessage = (identity, message) => (
+  toHex(nacl.sign.detached(encoder.encode(message), fromHex(identity.secretKey)))
+);
+
+export const verifyMessage = (publicKey, message, signature) => {
+  try {
+    return nacl.sign.detached.verify(
+      encoder.encode(message),
+      fromHex(signature),
+      fromHex(publicKey)
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+// The fields a signature vouches for, in a fixed order
+export const getWhisperPayload = (whisper) => JSON.stringify([
+  whisper.id,
+  whisper.userId,
+  whisper.text,
+  whisper.mood,
+  new Date(whisper.timestamp).toISOString(),
+  whisper.expiresAt ? new Date(whisper.expiresAt).toISOString() : null
+]);
+
+// Attach the author's public key and a signature over the whisper
+export const signWhisper = (identity, whisper) => ({
+  ...whisper,
+  publicKey: identity.publicKey,
+  signature: signMessage(identity, getWhisperPayload(whisper))
+});
+
+// Replies are signed over their own fields, including the whisper they
+// answer, so they cannot be replayed elsewhere
+export const getReplyPayload = (reply) => JSON.stringify([
+  reply.id,
+  reply.whisperId,
+  reply.userId,
+  reply.text,
+  new Date(reply.timestamp).toISOString()
+]);
+
+export const signReply = (identity, reply) => ({
+  ...reply,
+  publicKey: identity.publicKey,
+  signature: signMessage(identity, getReplyPayload(reply))
+});
+
+export const verifyWhisper = (whisper) => (
+  !!whisper.publicKey &&
+  !!whisper.signature &&
+  verifyMessage(whisper.publicKey, getWhisperPayload(whisper), whisper.signature)
+);
+
+// Proof that the holder of this identity asked for `action` on `target`,
+// e.g. ('delete', whisperId). The server checks it against the public key
+// the whispers were signed with.
+export const createOwnershipProof = (identity, action, target) => {
+  const signedAt = new Date().toISOString();
+
+  return {
+    userId: identity.userId,
+    publicKey: identity.publicKey,
+    signedAt,
+    signature: signMessage(identity, `${action}:${target}:${signedAt}`)
+  };
+};
+
+// scrypt cost for sealing an identity. Recorded with the sealed copy, so
+// it can be raised later without breaking older exports.
+const SEAL_COST = { N: 2 ** 14, r: 8, p: 1 };
+
+const deriveSealKey = (passphrase, salt, { N, r, p }) => (
+  scryptAsync(encoder.encode(passphrase.normalize('NFKC')), salt, { N, r, p, dkLen: nacl.secretbox.keyLength })
+);
+
+// Encrypt an identity with a passphrase so it can travel inside an
+// export. The public half stays readable; the user id and secret key
+// are only recoverable with the passphrase.
+export const sealIdentity = async (identity, passphrase) => {
+  const salt = nacl.randomBytes(16);
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const key = await deriveSealKey(passphrase, salt, SEAL_COST);
+  const secret = JSON.stringify({ userId: identity.userId, secretKey: identity.secretKey });
+
+  return {
+    publicKey: identity.publicKey,
+    kdf: { name: 'scrypt', ...SEAL_COST, salt: toHex(salt) },
+    nonce: toHex(nonce),
+    box: toHex(nacl.secretbox(encoder.encode(secret), nonce, key))
+  };
+};
+
+// Recover a sealed identity, or null when the passphrase is wrong or the
+// sealed copy has been tampered with
+export const unsealIdentity = async (sealed, passphrase) => {
+  try {
+    const { name, N, r, p, salt } = sealed.kdf;
+    if (name !== 'scrypt') return null;
+    const key = await deriveSealKey(passphrase, fromHex(salt), { N, r, p });
+    const opened = nacl.secretbox.open(fromHex(sealed.box), fromHex(sealed.nonce), key);
+    if (!opened) return null;
+
+    // The sealed JSON is all ASCII (hex and ids)
+    const { userId, secretKey } = JSON.parse(String.fromCharCode(...opened));
+    const { publicKey } = nacl.sign.keyPair.fromSecretKey(fromHex(secretKey));
+    if (toHex(publicKey) !== sealed.publicKey) return null;
+
+    return { userId, publicKey: sealed.publicKey, secretKey };
+  } catch (error) {
+    return null;
+  }
+};
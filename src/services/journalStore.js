@@ -0,0 +1,23 @@
+// src/services/journalStore.js
+import { STORAGE_KEYS } from '../constants/storage';
+import { createStoredCollection } from './storedCollection';
+
+// "Just for me" whispers. They live only in this store: never in the
+// shared feed, the repository or the outbox.
+
+// Entry shape: { id, text, mood, timestamp: ISO date string }
+const journal = createStoredCollection({ key: STORAGE_KEYS.journal, name: 'Journal' });
+
+// Load journal entries, newest first
+export const loadJournal = journal.load;
+
+// Add an entry at the top. Returns the new list.
+export const addJournalEntry = (storage, entry) => journal.update(storage, entries => [
+  entry,
+  ...entries.filter(item => item.id !== entry.id)
+]);
+
+// Remove an entry. Returns the new list.
+export const deleteJournalEntry = (storage, entryId) => journal.update(storage, entries => (
+  entries.filter(item => item.id !== entryId)
+));
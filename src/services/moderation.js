@@ -0,0 +1,296 @@
+// src/services/moderation.js
+import { STORAGE_KEYS } from '../constants/storage';
+
+// Where newer word lists are published. Optional; without it the app keeps
+// using the bundled or last downloaded list.
+const WORD_LIST_URL = process.env.EXPO_PUBLIC_MODERATION_LIST_URL;
+
+// Severity tiers, mildest first:
+//   blur  - allowed, but covered on the wall until tapped
+//   warn  - the author is asked to reconsider before posting
+//   block - cannot be posted
+export const SEVERITIES = ['blur', 'warn', 'block'];
+
+// Word list format. Terms are matched on whole words after normalization;
+// a trailing `*` also matches longer words ("idiot*" matches "idiots") and
+// multi-word terms match as a phrase.
+export const DEFAULT_WORD_LIST = {
+  version: 2,
+  terms: {
+    block: [
+      'kill yourself',
+      'kill urself',
+      'kys',
+      'go die',
+      'i will kill you',
+      'hope you die',
+      'nobody would miss you',
+    ],
+    warn: [
+      'you are stupid',
+      'you\'re stupid',
+      'ur stupid',
+      'you are worthless',
+      'you\'re worthless',
+      'you are pathetic',
+      'you\'re pathetic',
+      'you are ugly',
+      'you\'re ugly',
+      'idiot*',
+      'moron*',
+      // Only aimed at someone; "I feel like such a loser" is for support
+      'you are a loser',
+      'you\'re a loser',
+      'ur a loser',
+      'you loser*',
+      'shut up',
+      'hate you',
+      'click here',
+      'buy now',
+      'free money',
+    ],
+    blur: [
+      'fuck*',
+      'motherfuck*',
+      'shit',
+      'shitty',
+      'bullshit',
+      'bitch*',
+      'bastard*',
+      'asshole*',
+      'pissed',
+      'piss off',
+      'crap',
+      'crappy',
+    ],
+  },
+};
+
+// Look-alike letters from other scripts
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'і': 'i', 'ј': 'j', 'к': 'k',
+  'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'ѕ': 's', 'т': 't',
+  'у': 'y', 'х': 'x', 'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i',
+  'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+  'ı': 'i', 'ł': 'l', 'ø': 'o', 'ß': 'ss',
+};
+
+// Leetspeak substitutions, only applied inside words
+const LEET = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't',
+};
+
+const LEET_SYMBOLS = /[@$!|+]/;
+const INVISIBLE = /[\u00ad\u200b-\u200f\u2060\ufeff]/g;
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+// Strip accents, fold look-alike scripts and lowercase
+const foldCharacters = (text) => (
+  Array.from(
+    text
+      .normalize('NFKD')
+      .replace(COMBINING_MARKS, '')
+      .replace(INVISIBLE, '')
+      .toLowerCase()
+  )
+    .map(char => CONFUSABLES[char] || char)
+    .join('')
+);
+
+// Undo leetspeak in a raw token. Digits count only when the token also has
+// letters ("k1ll", not "2024"); symbols only when a letter or digit
+// follows, so trailing punctuation ("stupid!") is left alone.
+const decodeLeet = (token) => {
+  if (!/[a-z]/.test(token)) return token;
+
+  const chars = Array.from(token);
+  return chars
+    .map((char, index) => {
+      if (!LEET[char]) return char;
+      if (LEET_SYMBOLS.test(char) && !/[a-z0-9@$!|+]/.test(chars[index + 1] || '')) {
+        return char;
+      }
+      return LEET[char];
+    })
+    .join('');
+};
+
+// "fuuuuck" and "fuck" should look the same, but "looser" isn't "loser",
+// so only runs of three or more collapse
+const collapseRepeats = (word) => word.replace(/(.)\1{2,}/g, '$1');
+
+// A long run can stand for a double letter too ("killllll")
+const collapseRepeatsToPairs = (word) => word.replace(/(.)\1{2,}/g, '$1$1');
+
+// Fold, decode and split text into words, with repeats left in
+const splitWords = (text) => {
+  const words = foldCharacters(text)
+    .split(/\s+/)
+    .map(decodeLeet)
+    .join(' ')
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+
+  // Re-join letters spelled out one by one ("f u c k", "k.y.s")
+  const joined = [];
+  let letters = [];
+  const flush = () => {
+    if (letters.length >= 3) {
+      joined.push(letters.join(''));
+    } else {
+      joined.push(...letters);
+    }
+    letters = [];
+  };
+
+  words.forEach(word => {
+    if (word.length === 1) {
+      letters.push(word);
+    } else {
+      flush();
+      joined.push(word);
+    }
+  });
+  flush();
+
+  return joined;
+};
+
+// Turn text into normalized words
+export const normalizeText = (text) => splitWords(text).map(collapseRepeats);
+
+// Compile a term into the normalized words it has to match
+const compileTerm = (term) => {
+  const isPrefix = term.endsWith('*');
+  const words = normalizeText(isPrefix ? term.slice(0, -1) : term);
+  return { term, words, isPrefix };
+};
+
+const matchesWord = (word, termWord, isPrefix) => (
+  isPrefix ? word.startsWith(termWord) : word === termWord
+);
+
+// A phrase matches word by word, or glued into one word ("killyourself")
+const matchesAt = (words, index, { words: termWords, isPrefix }) => {
+  if (termWords.length > 1 && matchesWord(words[index], termWords.join(''), isPrefix)) {
+    return true;
+  }
+
+  return termWords.every((termWord, offset) => {
+    const word = words[index + offset];
+    if (word === undefined) return false;
+
+    const isLast = offset === termWords.length - 1;
+    return matchesWord(word, termWord, isLast && isPrefix);
+  });
+};
+
+// Check a parsed word list against the format above
+export const validateWordList = (list) => {
+  const errors = [];
+
+  if (!list || typeof list !== 'object') {
+    return { isValid: false, errors: ['Word list must be an object'] };
+  }
+
+  if (typeof list.version !== 'number') {
+    errors.push('version must be a number');
+  }
+
+  if (!list.terms || typeof list.terms !== 'object') {
+    errors.push('terms must be an object');
+  } else {
+    SEVERITIES.forEach(severity => {
+      const terms = list.terms[severity];
+      if (terms !== undefined && (
+        !Array.isArray(terms) ||
+        terms.some(term => typeof term !== 'string' || !term.trim())
+      )) {
+        errors.push(`terms.${severity} must be a list of words`);
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+// Build a moderator for a word list
+export const createModerator = (wordList = DEFAULT_WORD_LIST) => {
+  const compiled = SEVERITIES.flatMap(severity => (
+    (wordList.terms[severity] || [])
+      .map(compileTerm)
+      .filter(term => term.words.length > 0)
+      .map(term => ({ ...term, severity }))
+  ));
+
+  // { action: 'allow' | 'blur' | 'warn' | 'block', matches: [{ term, severity }] }
+  const check = (text) => {
+    const words = splitWords(text || '');
+    const readings = [words.map(collapseRepeats), words.map(collapseRepeatsToPairs)];
+    const matches = compiled
+      .filter(term => readings.some(reading => (
+        reading.some((_, index) => matchesAt(reading, index, term))
+      )))
+      .map(({ term, severity }) => ({ term, severity }));
+
+    const action = matches.reduce((strongest, { severity }) => (
+      SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(strongest) ? severity : strongest
+    ), 'allow');
+
+    return { action, matches };
+  };
+
+  return {
+    version: wordList.version,
+    check
+  };
+};
+
+let activeModerator = createModerator(DEFAULT_WORD_LIST);
+
+// Moderate text with the active word list
+export const moderateText = (text) => activeModerator.check(text);
+
+// Swap in a new word list
+export const setWordList = (wordList) => {
+  const { isValid, errors } = validateWordList(wordList);
+  if (!isValid) {
+    throw new Error(`Invalid word list: ${errors.join(', ')}`);
+  }
+  activeModerator = createModerator(wordList);
+};
+
+// Use the newest of the bundled, saved and published word lists, saving a
+// newly downloaded one for next time. Failures keep the current list.
+export const loadWordList = async (storage) => {
+  try {
+    const stored = await storage.getItem(STORAGE_KEYS.moderationWordList);
+    const saved = stored ? JSON.parse(stored) : null;
+    if (saved && validateWordList(saved).isValid && saved.version > activeModerator.version) {
+      setWordList(saved);
+    }
+  } catch (error) {
+    console.error('Load word list error:', error);
+  }
+
+  if (!WORD_LIST_URL) return;
+
+  try {
+    const response = await fetch(WORD_LIST_URL);
+    if (!response.ok) {
+      throw new Error(`Word list request failed with status ${response.status}`);
+    }
+
+    const published = await response.json();
+    if (published.version > activeModerator.version) {
+      setWordList(published);
+      await storage.setItem(STORAGE_KEYS.moderationWordList, JSON.stringify(published));
+    }
+  } catch (error) {
+    console.error('Update word list error:', error);
+  }
+};
@@ -0,0 +1,134 @@
+// src/services/outbox.js
+import { STORAGE_KEYS } from '../constants/storage';
+import { generateId } from '../utils/helpers';
+import { createStoredCollection } from './storedCollection';
+
+// Retries wait RETRY_BASE_DELAY, then twice as long each time, up to
+// RETRY_MAX_DELAY
+export const RETRY_BASE_DELAY = 2000;
+export const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+// Entry shape: { id, type, payload, attempts, createdAt }
+//   post:   { whisper }              unsigned, with its client-side id
+//   like:   { whisperId, liked }     liking and unliking share one entry
+//   report: { whisperId, reason }
+
+export const getRetryDelay = (attempts) => (
+  Math.min(RETRY_BASE_DELAY * 2 ** attempts, RETRY_MAX_DELAY)
+);
+
+// Failures without a status never reached the backend; 5xx, 408 and 429
+// are worth another try. Anything else was refused for good.
+export const isRetryable = (error) => (
+  !error.status || error.status >= 500 || error.status === 408 || error.status === 429
+);
+
+// Point entries queued behind a post at the id the server gave it
+const remapWhisperId = (entries, fromId, toId) => entries.map(entry => (
+  entry.payload.whisperId === fromId
+    ? { ...entry, payload: { ...entry.payload, whisperId: toId } }
+    : entry
+));
+
+// Persistent queue of posts, likes and reports waiting for the backend.
+// Entries are sent strictly in order, so a like never overtakes the post
+// it belongs to. Every change goes through `exclusive` so enqueueing
+// while a flush is running can't lose entries.
+export const createOutbox = ({ storage, storageKey = STORAGE_KEYS.outbox }) => {
+  let lock = Promise.resolve();
+  let flushing = null;
+
+  const exclusive = (task) => {
+    const run = lock.then(task);
+    lock = run.catch(() => {});
+    return run;
+  };
+
+  const queue = createStoredCollection({ key: storageKey, name: 'Outbox' });
+  const read = () => queue.load(storage);
+  const write = (entries) => queue.save(storage, entries);
+
+  const load = () => exclusive(read);
+
+  // Queue an entry. A new like entry replaces a queued one for the same
+  // whisper, since only the latest intent matters. Returns the new queue.
+  const enqueue = (type, payload) => exclusive(async () => {
+    const entries = await read();
+
+    // A post already waiting with the same whisper id is the same post
+    if (type === 'post' && entries.some(entry => (
+      entry.type === 'post' && entry.payload.whisper.id === payload.whisper.id
+    ))) {
+      return entries;
+    }
+
+    const kept = type === 'like'
+      ? entries.filter(entry => !(entry.type === 'like' && entry.payload.whisperId === payload.whisperId))
+      : entries;
+
+    const updated = [
+      ...kept,
+      { id: generateId(), type, payload, attempts: 0, createdAt: new Date().toISOString() }
+    ];
+    await write(updated);
+    return updated;
+  });
+
+  // Settle the entry at the head of the queue
+  const settle = (entry, change) => exclusive(async () => {
+    const entries = await read();
+    const updated = change(entries.filter(item => item.id !== entry.id));
+    await write(updated);
+    return updated;
+  });
+
+  // Send queued entries in order with `send(entry)`, which performs the
+  // request and returns the repository's result. Stops at the first
+  // retryable failure; entries the backend refuses are dropped.
+  // Resolves { sent: [{ entry, result }], rejected: [{ entry, error }],
+  // remaining, retryIn } where retryIn is the backoff in ms, or null.
+  // A flush requested while one is running starts once it's done, so
+  // entries queued in the meantime are never missed.
+  const flush = (send) => {
+    if (flushing) return flushing.then(() => flush(send));
+
+    flushing = (async () => {
+      const sent = [];
+      const rejected = [];
+      let entries = await load();
+
+      while (entries.length > 0) {
+        const [entry] = entries;
+
+        try {
+          const result = await send(entry);
+          sent.push({ entry, result });
+
+          const serverId = entry.type === 'post' ? result?.id : null;
+          entries = await settle(entry, rest => (
+            serverId && serverId !== entry.payload.whisper.id
+              ? remapWhisperId(rest, entry.payload.whisper.id, serverId)
+              : rest
+          ));
+        } catch (error) {
+          if (!isRetryable(error)) {
+            rejected.push({ entry, error });
+            entries = await settle(entry, rest => rest);
+            continue;
+          }
+
+          entries = await settle(entry, rest => [{ ...entry, attempts: entry.attempts + 1 }, ...rest]);
+          return { sent, rejected, remaining: entries, retryIn: getRetryDelay(entry.attempts) };
+        }
+      }
+
+      return { sent, rejected, remaining: entries, retryIn: null };
+    })();
+
+    return flushing.finally(() => {
+      flushing = null;
+    });
+  };
+
+  return { load, enqueue, flush };
+};
@@ -0,0 +1,155 @@
+// src/services/piiScanner.js
+
+// Personal details that would break someone's anonymity
+export const PII_TYPES = {
+  email: { name: 'email address', placeholder: '[email]' },
+  phone: { name: 'phone number', placeholder: '[phone]' },
+  address: { name: 'street address', placeholder: '[address]' },
+  handle: { name: 'social handle', placeholder: '[handle]' },
+};
+
+const PATTERNS = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  phone: /\+?\(?\d[\d\s().-]{5,}\d/g,
+  // House number, one or two street-name words, then the street type.
+  // Everyday words can't be the street name ("3 miles down the road").
+  address: /\b\d{1,5}[A-Z]?,?\s+(?:(?!(?:the|a|an|this|that|my|your|his|her|their|our|down|up|along|across|on|off|of|in|at|to|by|from|more|other|same)\b)[A-Z][A-Z'-]*\s+){1,2}(?:street|st|road|rd|avenue|ave|lane|ln|boulevard|blvd|drive|dr|ct|pl|marg|nagar|society)\b\.?/gi,
+  handle: /(?:^|[^\w@.])(@[A-Z0-9_][A-Z0-9_.]{1,29})/gi,
+};
+
+// "2024-10-19" and "19.10.2024", optionally followed by an hour
+const DATE = /^(?:(\d{4})[-.](\d{1,2})[-.](\d{1,2})|(\d{1,2})[-.](\d{1,2})[-.](\d{2}|\d{4}))(?:\s+\d{1,2})?$/;
+
+const isDate = (value) => {
+  const match = value.match(DATE);
+  if (!match) return false;
+
+  // Either order of day and month, as long as both could be real
+  const [first, second] = match[1]
+    ? [Number(match[2]), Number(match[3])]
+    : [Number(match[4]), Number(match[5])];
+  return first >= 1 && second >= 1 && Math.min(first, second) <= 12 && Math.max(first, second) <= 31;
+};
+
+// Phone numbers are grouped like one: a leading "+" or "(", dashes or
+// dots between the digits, or at least 7 digits in a row. Runs of
+// numbers split by spaces ("1999 2000 2001") are just numbers.
+const hasPhoneGrouping = (value) => (
+  /^[+(]/.test(value) || /\d[-.]\d/.test(value) || /\d{7}/.test(value)
+);
+
+// Phone numbers have 7 to 15 digits; "3.14159" is a number and
+// "2024-10-19" a date, not phones
+const isPhoneNumber = (value) => {
+  const digits = value.replace(/\D/g, '').length;
+  return digits >= 7 && digits <= 15 &&
+    hasPhoneGrouping(value) &&
+    !/^\d+\.\d+$/.test(value) &&
+    !isDate(value);
+};
+
+// How far back to look for whose details these are
+const CONTEXT_LENGTH = 40;
+
+// Words that tie the details to the writer...
+const FIRST_PERSON = /\b(?:i|i'm|im|me|my|mine|us|our)\b/gi;
+
+// ...or to somebody else
+const RELATIONS = 'friend|ex|boss|neighbou?r|sister|brother|mom|mum|dad|mother|father|wife|husband|girlfriend|boyfriend|partner|teacher|colleague|coworker|roommate';
+
+const THIRD_PERSON = new RegExp(`\\b(?:he|she|they|him|her|his|them|their|(?:${RELATIONS})['’]s)\\b`, 'gi');
+
+// Names and relations: "Priya's number", "call Priya at", "call (my) mom at"
+const NAMED_PERSON = new RegExp(
+  '\\b[A-Z][a-z]+[\'’]s\\b|' +
+  '\\b(?:[Cc]all|[Tt]ext|[Ee]mail|[Mm]essage|[Dd][Mm]|[Cc]ontact|[Rr]each)\\s+' +
+  `(?:(?!me\\b|us\\b)[A-Z][a-z]+|(?:(?:my|our|your)\\s+)?(?:${RELATIONS})\\b)`,
+  'g'
+);
+
+// Where the last match ends, so "call my mom" counts from "mom", not "my"
+const lastMatchEnd = (pattern, text) => {
+  let end = -1;
+  for (const match of text.matchAll(pattern)) {
+    end = match.index + match[0].length;
+  }
+  return end;
+};
+
+// Whether the words just before a match point at someone other than the
+// writer. The closest pronoun or name wins; with no hint at all the
+// details are assumed to be the writer's own.
+const belongsToOther = (text, start) => {
+  const sentenceStart = Math.max(
+    text.lastIndexOf('.', start - 1),
+    text.lastIndexOf('!', start - 1),
+    text.lastIndexOf('?', start - 1),
+    text.lastIndexOf('\n', start - 1)
+  ) + 1;
+  const context = text.slice(Math.max(sentenceStart, start - CONTEXT_LENGTH), start);
+
+  const other = Math.max(lastMatchEnd(THIRD_PERSON, context), lastMatchEnd(NAMED_PERSON, context));
+  return other > lastMatchEnd(FIRST_PERSON, context);
+};
+
+// Find personal details in text. Returns spans sorted by position:
+// [{ type, start, end, value, belongsToOther }]
+export const scanForPII = (text) => {
+  if (!text) return [];
+
+  const found = [];
+
+  Object.keys(PATTERNS).forEach(type => {
+    for (const match of text.matchAll(PATTERNS[type])) {
+      // Handles capture the @name after a boundary character
+      const value = type === 'handle' ? match[1] : match[0];
+      const start = match.index + match[0].indexOf(value);
+
+      if (type === 'phone' && !isPhoneNumber(value)) continue;
+
+      found.push({ type, start, end: start + value.length, value });
+    }
+  });
+
+  // Keep the earliest, longest span where matches overlap
+  const spans = found
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .reduce((kept, span) => {
+      const previous = kept[kept.length - 1];
+      return previous && previous.end > span.start ? kept : [...kept, span];
+    }, []);
+
+  return spans.map(span => ({
+    ...span,
+    belongsToOther: belongsToOther(text, span.start)
+  }));
+};
+
+// Replace every personal detail with a placeholder
+export const redactPII = (text, spans = scanForPII(text)) => (
+  [...spans]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, span) => (
+      result.slice(0, span.start) + PII_TYPES[span.type].placeholder + result.slice(span.end)
+    ), text)
+);
+
+// Split text into plain and personal-detail segments for highlighting
+export const splitByPII = (text, spans = scanForPII(text)) => {
+  const segments = [];
+  let position = 0;
+
+  spans.forEach(span => {
+    if (span.start > position) {
+      segments.push({ text: text.slice(position, span.start), pii: null });
+    }
+    segments.push({ text: span.value, pii: span });
+    position = span.end;
+  });
+
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), pii: null });
+  }
+
+  return segments;
+};
@@ -0,0 +1,76 @@
+// src/services/preferencesStore.js
+import { STORAGE_KEYS } from '../constants/storage';
+
+// Bump this and add a migration below whenever the shape changes
+export const PREFERENCES_VERSION = 2;
+
+export const DEFAULT_PREFERENCES = {
+  locationRadius: 2000, // 2km default
+  autoLocation: true,
+  notificationsEnabled: true,
+  darkMode: false,
+  selectedMood: 'calm',
+};
+
+// Migrations keyed by the version they upgrade from. Each receives the
+// stored values and the storage backend and returns the upgraded values.
+const MIGRATIONS = {
+  // v0: only the radius was saved, as a bare string under its own key
+  0: async (values, storage) => {
+    const legacyRadius = await storage.getItem(STORAGE_KEYS.locationRadius);
+    const locationRadius = parseInt(legacyRadius, 10);
+
+    if (legacyRadius !== null) {
+      await storage.removeItem(STORAGE_KEYS.locationRadius);
+    }
+
+    return Number.isFinite(locationRadius)
+      ? { ...values, locationRadius }
+      : values;
+  },
+  // v1: notifications are in-app only, so the sound setting did nothing
+  1: async ({ notificationSounds, ...values }) => values,
+};
+
+// Run every migration between `fromVersion` and the current version
+export const migratePreferences = async (values, fromVersion, storage) => {
+  let migrated = values;
+
+  for (let version = fromVersion; version < PREFERENCES_VERSION; version++) {
+    const migrate = MIGRATIONS[version];
+    if (migrate) {
+      migrated = await migrate(migrated, storage);
+    }
+  }
+
+  return migrated;
+};
+
+// Save preferences along with the schema version
+export const savePreferences = async (storage, preferences) => {
+  await storage.setItem(STORAGE_KEYS.preferences, JSON.stringify({
+    version: PREFERENCES_VERSION,
+    values: preferences,
+  }));
+};
+
+// Load preferences, migrating older schemas and filling in defaults for
+// anything missing
+export const loadPreferences = async (storage) => {
+  const stored = await storage.getItem(STORAGE_KEYS.preferences);
+  const { version = 0, values = {} } = stored ? JSON.parse(stored) : {};
+
+  if (version > PREFERENCES_VERSION) {
+    // Written by a newer build; keep what we understand
+    return { ...DEFAULT_PREFERENCES, ...values };
+  }
+
+  const migrated = await migratePreferences(values, version, storage);
+  const preferences = { ...DEFAULT_PREFERENCES, ...migrated };
+
+  if (version < PREFERENCES_VERSION) {
+    await savePreferences(storage, preferences);
+  }
+
+  return preferences;
+};
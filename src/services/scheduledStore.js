@@ -0,0 +1,35 @@
+// src/services/scheduledStore.js
+import { STORAGE_KEYS } from '../constants/storage';
+import { createStoredCollection } from './storedCollection';
+
+// Scheduled whisper shape:
+// { id, text, mood, lifetime, publishAt: ISO date string,
+//   location: { latitude, longitude } | null, createdAt: ISO date string }
+
+const byPublishTime = (a, b) => new Date(a.publishAt) - new Date(b.publishAt);
+
+const scheduledWhispers = createStoredCollection({
+  key: STORAGE_KEYS.scheduledWhispers,
+  name: 'Scheduled whispers',
+  prepare: scheduled => scheduled.sort(byPublishTime)
+});
+
+// Load whispers waiting to be published, soonest first
+export const loadScheduledWhispers = scheduledWhispers.load;
+
+// Insert or update a scheduled whisper. Returns the new list.
+export const saveScheduledWhisper = (storage, whisper) => scheduledWhispers.update(storage, scheduled => [
+  ...scheduled.filter(item => item.id !== whisper.id),
+  whisper
+].sort(byPublishTime));
+
+// Remove a scheduled whisper. Returns the new list.
+export const deleteScheduledWhisper = (storage, whisperId) => scheduledWhispers.update(storage, scheduled => (
+  scheduled.filter(item => item.id !== whisperId)
+));
+
+// Split the queue into whispers that are due and those still waiting
+export const partitionDue = (scheduled, now = Date.now()) => ({
+  due: scheduled.filter(item => new Date(item.publishAt).getTime() <= now),
+  waiting: scheduled.filter(item => new Date(item.publishAt).getTime() > now)
+});
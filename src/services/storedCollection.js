@@ -0,0 +1,58 @@
+// src/services/storedCollection.js
+
+// A list or map saved as JSON under one storage key. Loading gives
+// `empty()` when nothing is saved or what's saved can't be read, and
+// passes anything else through `prepare` (e.g. to sort it).
+export const createStoredCollection = ({ key, name, empty = () => [], prepare = value => value }) => {
+  const matchesEmpty = (value) => (
+    Array.isArray(empty())
+      ? Array.isArray(value)
+      : value !== null && typeof value === 'object' && !Array.isArray(value)
+  );
+
+  const load = async (storage) => {
+    const stored = await storage.getItem(key);
+    if (!stored) return empty();
+
+    try {
+      const value = JSON.parse(stored);
+      return matchesEmpty(value) ? prepare(value) : empty();
+    } catch (error) {
+      console.error(`${name} parse error:`, error);
+      return empty();
+    }
+  };
+
+  const save = (storage, value) => storage.setItem(key, JSON.stringify(value));
+
+  // Load, apply `change`, save. Returns the new value.
+  const update = async (storage, change) => {
+    const updated = change(await load(storage));
+    await save(storage, updated);
+    return updated;
+  };
+
+  return { empty, load, save, update };
+};
+
+// Keep a collection in memory after the first load. Without storage it
+// only ever lives in memory.
+export const cacheStoredCollection = (collection, storage = null) => {
+  let value = null;
+
+  const load = async () => {
+    if (!value) {
+      value = storage ? await collection.load(storage) : collection.empty();
+    }
+    return value;
+  };
+
+  const save = async (updated) => {
+    value = updated;
+    if (storage) {
+      await collection.save(storage, updated);
+    }
+  };
+
+  return { load, save };
+};
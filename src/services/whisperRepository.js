@@ -0,0 +1,693 @@
+// src/services/whisperRepository.js
+import { calculateDistance, isWhisperExpired, isWithinEditWindow } from '../utils/helpers';
+import { STORAGE_KEYS } from '../constants/storage';
+import { createStoredCollection, cacheStoredCollection } from './storedCollection';
+
+// Base URL of the shared whisper backend. When it is not set the app
+// falls back to the local stand-in server below.
+const API_URL = process.env.EXPO_PUBLIC_WHISPER_API_URL;
+
+const REQUEST_TIMEOUT = 10000;
+
+// Distinct reports after which a whisper is hidden for everyone
+export const REPORT_HIDE_THRESHOLD = 3;
+
+// Mock data for development and for the local stand-in server
+export const MOCK_WHISPERS = [
+  {
+    id: '1',
+    text: 'A quiet corner with a book and a warm cup of tea brings peace to my restless mind.',
+    mood: 'calm',
+    timestamp: new Date(Date.now() - 15 * 60 * 1000),
+    likes: 12,
+    location: { latitude: 21.17155, longitude: 72.8311 },
+    userId: 'user_123'
+  },
+  {
+    id: '2',
+    text: 'Your smile is the sunrise that brightens my darkest days. Thank you for existing.',
+    mood: 'love',
+    timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000),
+    likes: 25,
+    location: { latitude: 21.1729, longitude: 72.8311 },
+    userId: 'user_456'
+  },
+  {
+    id: '3',
+    text: 'Dear future self, remember this moment of pure happiness. Hold onto it.',
+    mood: 'dear',
+    timestamp: new Date(Date.now() - 3 * 60 * 60 * 1000),
+    likes: 15,
+    location: { latitude: 21.17245, longitude: 72.8311 },
+    userId: 'user_789'
+  },
+  {
+    id: '4',
+    text: 'Success isn\'t about the money, but the freedom to choose your own path.',
+    mood: 'greed',
+    timestamp: new Date(Date.now() - 4 * 60 * 60 * 1000),
+    likes: 18,
+    location: { latitude: 21.1738, longitude: 72.8311 },
+    userId: 'user_101'
+  }
+];
+
+// Every repository exposes the same calls:
+//   fetchNearby({ latitude, longitude, radius }) -> whispers[]
+//   fetchUserWhispers(userId)                    -> whispers[]
+//   postWhisper(whisper)                         -> stored whisper
+//   editWhisper(whisper, proof)                  -> updated whisper (new text)
+//   deleteWhisper(whisperId, proof)              -> nothing
+//   likeWhisper(whisperId, proof)                -> updated whisper
+//   unlikeWhisper(whisperId, proof)              -> updated whisper
+//   fetchLikedWhisperIds(userId)                 -> ids of whispers the user liked
+//   reactToWhisper(whisperId, reaction, proof)   -> updated whisper
+//   fetchUserReactions(userId)                   -> { [whisperId]: reaction }
+//   reportWhisper(whisperId, reason, proof)      -> updated whisper
+//   fetchReportedWhisperIds(userId)              -> ids of whispers the user reported
+//   fetchModerationQueue()                       -> reported whispers, most reported first
+//   reviewReport(whisperId, decision)            -> nothing ('dismiss' or 'remove')
+//   fetchReplies(whisperId)                      -> replies[], oldest first
+//   postReply(whisperId, reply)                  -> stored reply
+//   deleteUserWhispers(userId, proof)            -> nothing
+//   pruneExpired()                               -> number of whispers removed
+//
+// Posted whispers carry the author's public key and signature, and
+// destructive calls take an ownership proof (see services/identity), so a
+// server can check authorship without knowing who the author is. Likes
+// are keyed by the proof's user, so liking twice only counts once, and
+// each user holds at most one reaction per whisper (null removes it).
+// Whispers carry per-reaction counts as `reactions: { hug: 2, ... }`.
+// Reports are one per user too; a whisper with REPORT_HIDE_THRESHOLD
+// reports comes back with `hidden: true` and leaves the wall.
+// Posting a whisper whose id is already stored returns the stored copy
+// unchanged, so a repeated post is harmless.
+// Only the author may edit or delete a whisper, and edits are only
+// accepted within WHISPER_EDIT_WINDOW of posting. An edit is re-signed
+// and marked with `editedAt`.
+// Failed calls throw errors with a `status` when the request was refused;
+// errors without one mean the backend couldn't be reached.
+
+// Error for a refused request, with the HTTP status it was refused with
+export const createRequestError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Keep only whispers inside the radius (meters) around a point
+const filterByRadius = (whispers, { latitude, longitude, radius } = {}) => {
+  if (latitude == null || longitude == null || !radius) {
+    return whispers;
+  }
+
+  return whispers.filter(whisper => {
+    if (!whisper.location) return false;
+    const distance = calculateDistance(
+      latitude,
+      longitude,
+      whisper.location.latitude,
+      whisper.location.longitude
+    );
+    return distance <= radius;
+  });
+};
+
+// HTTP implementation talking to the shared backend.
+// `storage` (AsyncStorage-like) is optional and keeps the last fetched
+// wall around so it can still be shown while offline.
+export const createHttpWhisperRepository = ({ baseUrl, storage = null, cacheKey = STORAGE_KEYS.whispersCache }) => {
+  const request = async (path, options = {}) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    try {
+      const response = await fetch(`${baseUrl}${path}`, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          ...options.headers,
+        },
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw createRequestError(`Request to ${path} failed with status ${response.status}`, response.status);
+      }
+
+      return response.status === 204 ? null : response.json();
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  const fetchNearby = async ({ latitude, longitude, radius } = {}) => {
+    const params = [];
+    if (latitude != null && longitude != null) {
+      params.push(`lat=${latitude}`, `lng=${longitude}`);
+    }
+    if (radius) {
+      params.push(`radius=${radius}`);
+    }
+    const query = params.length > 0 ? `?${params.join('&')}` : '';
+
+    try {
+      const whispers = await request(`/whispers${query}`);
+      if (storage) {
+        await storage.setItem(cacheKey, JSON.stringify(whispers));
+      }
+      return whispers;
+    } catch (error) {
+      // Fall back to the last wall we saw
+      const cached = storage ? await storage.getItem(cacheKey) : null;
+      if (cached) {
+        return JSON.parse(cached);
+      }
+      throw error;
+    }
+  };
+
+  const fetchUserWhispers = (userId) => request(`/users/${encodeURIComponent(userId)}/whispers`);
+
+  const postWhisper = (whisper) => request('/whispers', {
+    method: 'POST',
+    body: JSON.stringify(whisper),
+  });
+
+  const editWhisper = (whisper, proof) => request(`/whispers/${encodeURIComponent(whisper.id)}`, {
+    method: 'PUT',
+    body: JSON.stringify({ whisper, proof }),
+  });
+
+  const deleteWhisper = (whisperId, proof) => request(`/whispers/${encodeURIComponent(whisperId)}`, {
+    method: 'DELETE',
+    body: JSON.stringify({ proof }),
+  });
+
+  const likeWhisper = (whisperId, proof) => request(`/whispers/${encodeURIComponent(whisperId)}/like`, {
+    method: 'POST',
+    body: JSON.stringify({ proof }),
+  });
+
+  const unlikeWhisper = (whisperId, proof) => request(`/whispers/${encodeURIComponent(whisperId)}/like`, {
+    method: 'DELETE',
+    body: JSON.stringify({ proof }),
+  });
+
+  const fetchLikedWhisperIds = (userId) => request(`/users/${encodeURIComponent(userId)}/likes`);
+
+  const reactToWhisper = (whisperId, reaction, proof) => request(`/whispers/${encodeURIComponent(whisperId)}/reaction`, {
+    method: 'PUT',
+    body: JSON.stringify({ reaction, proof }),
+  });
+
+  const fetchUserReactions = (userId) => request(`/users/${encodeURIComponent(userId)}/reactions`);
+
+  const reportWhisper = (whisperId, reason, proof) => request(`/whispers/${encodeURIComponent(whisperId)}/reports`, {
+    method: 'POST',
+    body: JSON.stringify({ reason, proof }),
+  });
+
+  const fetchReportedWhisperIds = (userId) => request(`/users/${encodeURIComponent(userId)}/reports`);
+
+  const fetchModerationQueue = () => request('/moderation/queue');
+
+  const reviewReport = (whisperId, decision) => request(`/moderation/queue/${encodeURIComponent(whisperId)}`, {
+    method: 'POST',
+    body: JSON.stringify({ decision }),
+  });
+
+  const fetchReplies = (whisperId) => request(`/whispers/${encodeURIComponent(whisperId)}/replies`);
+
+  const postReply = (whisperId, reply) => request(`/whispers/${encodeURIComponent(whisperId)}/replies`, {
+    method: 'POST',
+    body: JSON.stringify(reply),
+  });
+
+  const deleteUserWhispers = (userId, proof) => request(`/users/${encodeURIComponent(userId)}/whispers`, {
+    method: 'DELETE',
+    body: JSON.stringify({ proof }),
+  });
+
+  // The backend expires whispers itself
+  const pruneExpired = async () => 0;
+
+  return {
+    isRemote: true,
+    fetchNearby,
+    fetchUserWhispers,
+    postWhisper,
+    editWhisper,
+    deleteWhisper,
+    likeWhisper,
+    unlikeWhisper,
+    fetchLikedWhisperIds,
+    reactToWhisper,
+    fetchUserReactions,
+    reportWhisper,
+    fetchReportedWhisperIds,
+    fetchModerationQueue,
+    reviewReport,
+    fetchReplies,
+    postReply,
+    deleteUserWhispers,
+    pruneExpired,
+  };
+};
+
+// Local stand-in server. Keeps every whisper in memory and, when
+// `storage` is given, persists them under `storageKey` so the wall
+// survives restarts. Without storage it is a throwaway in-memory server
+// suitable for tests.
+export const createLocalWhisperRepository = ({
+  seed = MOCK_WHISPERS,
+  storage = null,
+  storageKey = STORAGE_KEYS.whispers,
+  repliesKey = STORAGE_KEYS.replies,
+  likesKey = STORAGE_KEYS.likes,
+  reactionsKey = STORAGE_KEYS.reactions,
+  reportsKey = STORAGE_KEYS.reports
+} = {}) => {
+  let whispers = null;
+
+  // Maps keyed by whisper id, each saved under its own key
+  const byWhisper = (key, name) => cacheStoredCollection(
+    createStoredCollection({ key, name, empty: () => ({}) }),
+    storage
+  );
+  const replies = byWhisper(repliesKey, 'Replies'); // { [whisperId]: reply[] }
+  const likes = byWhisper(likesKey, 'Likes'); // { [whisperId]: userId[] }
+  const reactions = byWhisper(reactionsKey, 'Reactions'); // { [whisperId]: { [userId]: reaction } }
+  const reports = byWhisper(reportsKey, 'Reports'); // { [whisperId]: [{ userId, reason, reportedAt }] }
+
+  const load = async () => {
+    if (whispers) return whispers;
+
+    const stored = storage ? await storage.getItem(storageKey) : null;
+    whispers = stored ? JSON.parse(stored) : [...seed];
+
+    if (!stored && storage) {
+      await storage.setItem(storageKey, JSON.stringify(whispers));
+    }
+    return whispers;
+  };
+
+  const save = async (updatedWhispers) => {
+    whispers = updatedWhispers;
+    if (storage) {
+      await storage.setItem(storageKey, JSON.stringify(updatedWhispers));
+    }
+  };
+
+  // Per-reaction counts after swapping one user's reaction
+  const adjustReactionCounts = (counts = {}, previous, next) => {
+    const updated = { ...counts };
+    if (previous) {
+      updated[previous] = Math.max(0, (updated[previous] || 0) - 1);
+    }
+    if (next) {
+      updated[next] = (updated[next] || 0) + 1;
+    }
+    return updated;
+  };
+
+  const fetchNearby = async (query) => {
+    const all = await load();
+    return filterByRadius(
+      all.filter(whisper => !whisper.hidden && !isWhisperExpired(whisper)),
+      query
+    );
+  };
+
+  const fetchUserWhispers = async (userId) => {
+    const all = await load();
+    return all.filter(whisper => whisper.userId === userId);
+  };
+
+  const postWhisper = async (whisper) => {
+    const all = await load();
+    const existing = all.find(item => item.id === whisper.id);
+    if (existing) return existing;
+
+    const stored = { ...whisper, likes: whisper.likes || 0 };
+    await save([stored, ...all]);
+    return stored;
+  };
+
+  // The whisper `proof.userId` wants to change, if it is theirs
+  const findOwnWhisper = async (whisperId, proof) => {
+    const all = await load();
+    const target = all.find(whisper => whisper.id === whisperId);
+    if (!target) {
+      throw createRequestError(`Whisper ${whisperId} not found`, 404);
+    }
+    if (target.userId !== proof.userId) {
+      throw createRequestError(`Whisper ${whisperId} belongs to someone else`, 403);
+    }
+    return { all, target };
+  };
+
+  // Take the new text and signature; likes, reactions and replies stay
+  const editWhisper = async (whisper, proof) => {
+    const { all, target } = await findOwnWhisper(whisper.id, proof);
+    if (!isWithinEditWindow(target)) {
+      throw createRequestError(`Whisper ${whisper.id} can no longer be edited`, 403);
+    }
+
+    const updated = {
+      ...target,
+      text: whisper.text,
+      editedAt: whisper.editedAt,
+      publicKey: whisper.publicKey,
+      signature: whisper.signature
+    };
+    await save(all.map(item => (item.id === whisper.id ? updated : item)));
+    return updated;
+  };
+
+  // Remove the whisper with its likes, reactions, reports and replies
+  const deleteWhisper = async (whisperId, proof) => {
+    const { all } = await findOwnWhisper(whisperId, proof);
+    const remaining = all.filter(whisper => whisper.id !== whisperId);
+
+    await pruneLikes(remaining);
+    await pruneReactions(remaining);
+    await pruneReports(remaining);
+    await pruneReplies(remaining);
+    await save(remaining);
+  };
+
+  // Add or remove `userId`'s like; repeating the same call changes nothing
+  const setLiked = async (whisperId, userId, liked) => {
+    const all = await load();
+    const target = all.find(whisper => whisper.id === whisperId);
+    if (!target) {
+      throw createRequestError(`Whisper ${whisperId} not found`, 404);
+    }
+
+    const allLikes = await likes.load();
+    const likers = allLikes[whisperId] || [];
+    if (likers.includes(userId) === liked) {
+      return target;
+    }
+
+    const updated = {
+      ...target,
+      likes: Math.max(0, (target.likes || 0) + (liked ? 1 : -1))
+    };
+    await likes.save({
+      ...allLikes,
+      [whisperId]: liked ? [...likers, userId] : likers.filter(id => id !== userId)
+    });
+    await save(all.map(whisper => (whisper.id === whisperId ? updated : whisper)));
+    return updated;
+  };
+
+  const likeWhisper = (whisperId, proof) => setLiked(whisperId, proof.userId, true);
+
+  const unlikeWhisper = (whisperId, proof) => setLiked(whisperId, proof.userId, false);
+
+  const fetchLikedWhisperIds = async (userId) => {
+    const allLikes = await likes.load();
+    return Object.keys(allLikes).filter(whisperId => allLikes[whisperId].includes(userId));
+  };
+
+  // Set `proof.userId`'s reaction, replacing any earlier one
+  const reactToWhisper = async (whisperId, reaction, proof) => {
+    const all = await load();
+    const target = all.find(whisper => whisper.id === whisperId);
+    if (!target) {
+      throw createRequestError(`Whisper ${whisperId} not found`, 404);
+    }
+
+    const allReactions = await reactions.load();
+    const reactors = allReactions[whisperId] || {};
+    const previous = reactors[proof.userId] || null;
+    if (previous === reaction) {
+      return target;
+    }
+
+    const { [proof.userId]: _removed, ...others } = reactors;
+    const updated = {
+      ...target,
+      reactions: adjustReactionCounts(target.reactions, previous, reaction)
+    };
+    await reactions.save({
+      ...allReactions,
+      [whisperId]: reaction ? { ...others, [proof.userId]: reaction } : others
+    });
+    await save(all.map(whisper => (whisper.id === whisperId ? updated : whisper)));
+    return updated;
+  };
+
+  const fetchUserReactions = async (userId) => {
+    const allReactions = await reactions.load();
+    return Object.keys(allReactions).reduce((acc, whisperId) => {
+      const reaction = allReactions[whisperId][userId];
+      if (reaction) {
+        acc[whisperId] = reaction;
+      }
+      return acc;
+    }, {});
+  };
+
+  // Record `proof.userId`'s report; a user can only report a whisper once
+  const reportWhisper = async (whisperId, reason, proof) => {
+    const all = await load();
+    const target = all.find(whisper => whisper.id === whisperId);
+    if (!target) {
+      throw createRequestError(`Whisper ${whisperId} not found`, 404);
+    }
+
+    const allReports = await reports.load();
+    const whisperReports = allReports[whisperId] || [];
+    if (whisperReports.some(report => report.userId === proof.userId)) {
+      return target;
+    }
+
+    const updatedReports = [
+      ...whisperReports,
+      { userId: proof.userId, reason, reportedAt: new Date().toISOString() }
+    ];
+    const updated = {
+      ...target,
+      reportCount: updatedReports.length,
+      hidden: target.hidden || updatedReports.length >= REPORT_HIDE_THRESHOLD
+    };
+    await reports.save({ ...allReports, [whisperId]: updatedReports });
+    await save(all.map(whisper => (whisper.id === whisperId ? updated : whisper)));
+    return updated;
+  };
+
+  const fetchReportedWhisperIds = async (userId) => {
+    const allReports = await reports.load();
+    return Object.keys(allReports).filter(whisperId =>
+      allReports[whisperId].some(report => report.userId === userId)
+    );
+  };
+
+  // Reported whispers with a tally of reasons, for review
+  const fetchModerationQueue = async () => {
+    const all = await load();
+    const allReports = await reports.load();
+
+    return all
+      .filter(whisper => (allReports[whisper.id] || []).length > 0)
+      .map(whisper => {
+        const whisperReports = allReports[whisper.id];
+        return {
+          whisper,
+          reportCount: whisperReports.length,
+          reasons: whisperReports.reduce((acc, report) => {
+            acc[report.reason] = (acc[report.reason] || 0) + 1;
+            return acc;
+          }, {}),
+          lastReportedAt: whisperReports[whisperReports.length - 1].reportedAt,
+          hidden: !!whisper.hidden
+        };
+      })
+      .sort((a, b) => b.reportCount - a.reportCount);
+  };
+
+  // Dismissing clears the reports and puts the whisper back on the wall;
+  // removing deletes it
+  const reviewReport = async (whisperId, decision) => {
+    const all = await load();
+    const { [whisperId]: _reviewed, ...otherReports } = await reports.load();
+
+    if (decision === 'remove') {
+      const remaining = all.filter(whisper => whisper.id !== whisperId);
+      await pruneLikes(remaining);
+      await pruneReactions(remaining);
+      await pruneReplies(remaining);
+      await reports.save(otherReports);
+      await save(remaining);
+      return;
+    }
+
+    await reports.save(otherReports);
+    await save(all.map(whisper => {
+      if (whisper.id !== whisperId) return whisper;
+      const { hidden, reportCount, ...restored } = whisper;
+      return restored;
+    }));
+  };
+
+  // Drop reports on whispers that are gone, plus reports by `userId`
+  const pruneReports = async (remainingWhispers, userId = null) => {
+    const allReports = await reports.load();
+    const remainingIds = new Set(remainingWhispers.map(whisper => whisper.id));
+
+    const updatedReports = Object.keys(allReports).reduce((acc, whisperId) => {
+      if (remainingIds.has(whisperId)) {
+        acc[whisperId] = allReports[whisperId].filter(report => report.userId !== userId);
+      }
+      return acc;
+    }, {});
+
+    await reports.save(updatedReports);
+  };
+
+  const fetchReplies = async (whisperId) => {
+    const allReplies = await replies.load();
+    return allReplies[whisperId] || [];
+  };
+
+  const postReply = async (whisperId, reply) => {
+    const all = await load();
+    const target = all.find(whisper => whisper.id === whisperId);
+    if (!target) {
+      throw createRequestError(`Whisper ${whisperId} not found`, 404);
+    }
+
+    const allReplies = await replies.load();
+    const thread = allReplies[whisperId] || [];
+    const stored = { ...reply, whisperId };
+
+    await replies.save({ ...allReplies, [whisperId]: [...thread, stored] });
+    await save(all.map(whisper => (
+      whisper.id === whisperId
+        ? { ...whisper, replyCount: thread.length + 1 }
+        : whisper
+    )));
+    return stored;
+  };
+
+  // Drop reply threads whose whisper is gone, plus replies by `userId`
+  const pruneReplies = async (remainingWhispers, userId = null) => {
+    const allReplies = await replies.load();
+    const remainingIds = new Set(remainingWhispers.map(whisper => whisper.id));
+
+    const updatedReplies = Object.keys(allReplies).reduce((acc, whisperId) => {
+      if (remainingIds.has(whisperId)) {
+        acc[whisperId] = allReplies[whisperId].filter(reply => reply.userId !== userId);
+      }
+      return acc;
+    }, {});
+
+    await replies.save(updatedReplies);
+  };
+
+  // Drop likes on whispers that are gone, plus likes given by `userId`
+  const pruneLikes = async (remainingWhispers, userId = null) => {
+    const allLikes = await likes.load();
+    const remainingIds = new Set(remainingWhispers.map(whisper => whisper.id));
+
+    const updatedLikes = Object.keys(allLikes).reduce((acc, whisperId) => {
+      if (remainingIds.has(whisperId)) {
+        acc[whisperId] = allLikes[whisperId].filter(id => id !== userId);
+      }
+      return acc;
+    }, {});
+
+    await likes.save(updatedLikes);
+    return remainingWhispers.map(whisper => {
+      const removed = (allLikes[whisper.id] || []).length - (updatedLikes[whisper.id] || []).length;
+      return removed > 0
+        ? { ...whisper, likes: Math.max(0, (whisper.likes || 0) - removed) }
+        : whisper;
+    });
+  };
+
+  // Drop reactions on whispers that are gone, plus reactions by `userId`
+  const pruneReactions = async (remainingWhispers, userId = null) => {
+    const allReactions = await reactions.load();
+    const remainingIds = new Set(remainingWhispers.map(whisper => whisper.id));
+
+    const updatedReactions = Object.keys(allReactions).reduce((acc, whisperId) => {
+      if (remainingIds.has(whisperId)) {
+        const { [userId]: _removed, ...others } = allReactions[whisperId];
+        acc[whisperId] = others;
+      }
+      return acc;
+    }, {});
+
+    await reactions.save(updatedReactions);
+    return remainingWhispers.map(whisper => {
+      const removed = userId && (allReactions[whisper.id] || {})[userId];
+      return removed
+        ? { ...whisper, reactions: adjustReactionCounts(whisper.reactions, removed, null) }
+        : whisper;
+    });
+  };
+
+  const deleteUserWhispers = async (userId) => {
+    const all = await load();
+    const remaining = await pruneReactions(
+      await pruneLikes(all.filter(whisper => whisper.userId !== userId), userId),
+      userId
+    );
+    await pruneReports(remaining, userId);
+    await pruneReplies(remaining, userId);
+    const allReplies = await replies.load();
+    await save(remaining.map(whisper => {
+      const thread = allReplies[whisper.id];
+      return thread ? { ...whisper, replyCount: thread.length } : whisper;
+    }));
+  };
+
+  const pruneExpired = async () => {
+    const all = await load();
+    const remaining = all.filter(whisper => !isWhisperExpired(whisper));
+    if (remaining.length !== all.length) {
+      await pruneLikes(remaining);
+      await pruneReactions(remaining);
+      await pruneReports(remaining);
+      await pruneReplies(remaining);
+      await save(remaining);
+    }
+    return all.length - remaining.length;
+  };
+
+  return {
+    isRemote: false,
+    fetchNearby,
+    fetchUserWhispers,
+    postWhisper,
+    editWhisper,
+    deleteWhisper,
+    likeWhisper,
+    unlikeWhisper,
+    fetchLikedWhisperIds,
+    reactToWhisper,
+    fetchUserReactions,
+    reportWhisper,
+    fetchReportedWhisperIds,
+    fetchModerationQueue,
+    reviewReport,
+    fetchReplies,
+    postReply,
+    deleteUserWhispers,
+    pruneExpired,
+  };
+};
+
+// Pick the repository for this build: the HTTP backend when an API URL
+// is configured, otherwise the local stand-in server.
+export const createWhisperRepository = ({ storage = null } = {}) => {
+  if (API_URL) {
+    return createHttpWhisperRepository({ baseUrl: API_URL.replace(/\/$/, ''), storage });
+  }
+  return createLocalWhisperRepository({ storage });
+};
@@ -0,0 +1,104 @@
+// src/utils/__tests__/moodAnalytics.test.js
+import {
+  countMoods,
+  getDominantMood,
+  getMoodCalendar,
+  getMoodTrend,
+  getTimeOfDayPattern
+} from '../moodAnalytics';
+
+// Wednesday 19 March 2025, 21:30 local time
+const NOW = new Date(2025, 2, 19, 21, 30);
+
+const at = (month, day, hour, mood) => ({
+  mood,
+  timestamp: new Date(2025, month, day, hour).toISOString()
+});
+
+const WHISPERS = [
+  at(2, 19, 8, 'calm'),
+  at(2, 19, 23, 'love'),
+  at(2, 19, 13, 'love'),
+  at(2, 18, 18, 'dear'),
+  at(2, 12, 3, 'greed'),
+  at(1, 20, 9, 'calm'),
+  at(2, 12, 10, 'unknown')
+];
+
+describe('countMoods', () => {
+  it('counts every known mood and ignores the rest', () => {
+    expect(countMoods(WHISPERS)).toEqual({ calm: 2, love: 2, dear: 1, greed: 1 });
+  });
+});
+
+describe('getDominantMood', () => {
+  it('picks the most posted mood', () => {
+    expect(getDominantMood({ calm: 1, love: 3, dear: 0, greed: 2 })).toBe('love');
+  });
+
+  it('breaks ties in MOODS order', () => {
+    expect(getDominantMood({ calm: 0, love: 2, dear: 2, greed: 0 })).toBe('love');
+  });
+
+  it('returns null without any whispers', () => {
+    expect(getDominantMood(countMoods([]))).toBeNull();
+  });
+});
+
+describe('getMoodCalendar', () => {
+  it('returns one entry per day, oldest first, ending today', () => {
+    const calendar = getMoodCalendar(WHISPERS, { days: 8, now: NOW });
+
+    expect(calendar.map(entry => entry.day)).toEqual([
+      '2025-03-12', '2025-03-13', '2025-03-14', '2025-03-15',
+      '2025-03-16', '2025-03-17', '2025-03-18', '2025-03-19'
+    ]);
+  });
+
+  it('marks each day with its dominant mood', () => {
+    const calendar = getMoodCalendar(WHISPERS, { days: 8, now: NOW });
+    const byDay = Object.fromEntries(calendar.map(entry => [entry.day, entry]));
+
+    expect(byDay['2025-03-19']).toMatchObject({ total: 3, dominantMood: 'love' });
+    expect(byDay['2025-03-18']).toMatchObject({ total: 1, dominantMood: 'dear' });
+    expect(byDay['2025-03-12']).toMatchObject({ total: 2, dominantMood: 'greed' });
+    expect(byDay['2025-03-15']).toMatchObject({ total: 0, dominantMood: null });
+  });
+
+  it('crosses month boundaries', () => {
+    const calendar = getMoodCalendar([], { days: 3, now: new Date(2025, 2, 1, 12) });
+
+    expect(calendar.map(entry => entry.day)).toEqual(['2025-02-27', '2025-02-28', '2025-03-01']);
+  });
+});
+
+describe('getMoodTrend', () => {
+  it('buckets whispers by week starting on Monday', () => {
+    const trend = getMoodTrend(WHISPERS, { period: 'week', count: 2, now: NOW });
+
+    expect(trend.map(bucket => bucket.label)).toEqual(['Mar 10', 'Mar 17']);
+    expect(trend.map(bucket => bucket.total)).toEqual([2, 4]);
+    expect(trend[1].counts).toEqual({ calm: 1, love: 2, dear: 1, greed: 0 });
+  });
+
+  it('buckets whispers by month', () => {
+    const trend = getMoodTrend(WHISPERS, { period: 'month', count: 3, now: NOW });
+
+    expect(trend.map(bucket => bucket.label)).toEqual(['Jan', 'Feb', 'Mar']);
+    expect(trend.map(bucket => bucket.total)).toEqual([0, 1, 6]);
+    expect(trend[1].dominantMood).toBe('calm');
+  });
+});
+
+describe('getTimeOfDayPattern', () => {
+  it('groups whispers into morning, afternoon, evening and night', () => {
+    const pattern = getTimeOfDayPattern(WHISPERS);
+
+    expect(pattern.map(slot => [slot.id, slot.total, slot.dominantMood])).toEqual([
+      ['morning', 3, 'calm'],
+      ['afternoon', 1, 'love'],
+      ['evening', 1, 'dear'],
+      ['night', 2, 'love']
+    ]);
+  });
+});
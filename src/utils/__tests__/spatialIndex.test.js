@@ -0,0 +1,84 @@
+// src/utils/__tests__/spatialIndex.test.js
+import { createSpatialIndex } from '../spatialIndex';
+import { calculateDistance } from '../helpers';
+
+// Small deterministic PRNG so failures can be reproduced
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const scatter = (random, count, center, spread) => (
+  Array.from({ length: count }, (_, index) => {
+    const latitude = Math.max(-90, Math.min(90, center.latitude + (random() - 0.5) * 2 * spread));
+    const longitude = ((center.longitude + (random() - 0.5) * 2 * spread + 540) % 360) - 180;
+    return { id: `w${index}`, location: { latitude, longitude } };
+  })
+);
+
+// The brute-force scan the index replaces
+const bruteForce = (items, origin, radius) => (
+  items
+    .filter(item => calculateDistance(
+      origin.latitude,
+      origin.longitude,
+      item.location.latitude,
+      item.location.longitude
+    ) <= radius)
+    .map(item => item.id)
+    .sort()
+);
+
+const indexed = (index, origin, radius) => (
+  index.queryRadius(origin, radius).map(({ item }) => item.id).sort()
+);
+
+describe('createSpatialIndex', () => {
+  it.each([
+    ['a city', { latitude: 21.17, longitude: 72.83 }, 0.5],
+    ['the antimeridian', { latitude: -16.5, longitude: 179.99 }, 0.5],
+    ['the antimeridian from the west', { latitude: 52, longitude: -179.995 }, 0.5],
+    ['the north pole', { latitude: 89.995, longitude: 10 }, 0.5],
+    ['the south pole', { latitude: -89.99, longitude: -120 }, 0.5]
+  ])('matches a brute-force scan near %s', (_, center, spread) => {
+    const random = createRandom(42);
+    const items = scatter(random, 1000, center, spread);
+
+    // Coarse cells keep even polar queries on the grid path
+    [0.01, 2].forEach(cellSize => {
+      const index = createSpatialIndex(items, { cellSize });
+
+      [100, 1000, 5000, 25000, 60000].forEach(radius => {
+        for (let i = 0; i < 10; i++) {
+          const origin = scatter(random, 1, center, spread)[0].location;
+          expect(indexed(index, origin, radius)).toEqual(bruteForce(items, origin, radius));
+        }
+      });
+    });
+  });
+
+  it('handles very wide queries without walking every cell', () => {
+    const random = createRandom(7);
+    const items = scatter(random, 200, { latitude: 0, longitude: 0 }, 60);
+    const index = createSpatialIndex(items);
+    const origin = { latitude: 10, longitude: 20 };
+
+    expect(indexed(index, origin, 2000000)).toEqual(bruteForce(items, origin, 2000000));
+  });
+
+  it('skips items without a location', () => {
+    const index = createSpatialIndex([
+      { id: 'a', location: { latitude: 0, longitude: 0 } },
+      { id: 'b', location: null }
+    ]);
+
+    expect(indexed(index, { latitude: 0, longitude: 0 }, 20000000)).toEqual(['a']);
+  });
+
+  it('returns the exact distance with each item', () => {
+    const item = { id: 'a', location: { latitude: 21.18, longitude: 72.83 } };
+    const [result] = createSpatialIndex([item]).queryRadius({ latitude: 21.17, longitude: 72.83 }, 5000);
+
+    expect(result.distance).toBe(calculateDistance(21.17, 72.83, 21.18, 72.83));
+  });
+});
@@ -1,4 +1,6 @@
 // src/utils/helpers.js
+import * as Crypto from 'expo-crypto';
+import { WHISPER_EDIT_WINDOW } from '../constants/theme';
 
 // Format timestamp to human readable format
 export const formatTimestamp = (timestamp) => {
@@ -41,6 +43,19 @@ export const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return Math.round(distance);
 };
 
+// Distance in meters from the viewer to a whisper, or null when either
+// location is unknown
+export const getWhisperDistance = (origin, whisper) => {
+  if (!origin || !whisper?.location) return null;
+
+  return calculateDistance(
+    origin.latitude,
+    origin.longitude,
+    whisper.location.latitude,
+    whisper.location.longitude
+  );
+};
+
 // Convert degrees to radians
 const deg2rad = (deg) => {
   return deg * (Math.PI / 180);
@@ -56,6 +71,82 @@ export const formatDistance = (distance) => {
   }
 };
 
+// Check whether a whisper has passed its expiry time
+export const isWhisperExpired = (whisper, now = Date.now()) => {
+  if (!whisper.expiresAt) return false;
+  return new Date(whisper.expiresAt).getTime() <= now;
+};
+
+// Check whether the author can still edit a whisper
+export const isWithinEditWindow = (whisper, now = Date.now()) => {
+  return now - new Date(whisper.timestamp).getTime() <= WHISPER_EDIT_WINDOW;
+};
+
+// When a schedule option would publish, or null for "now"
+export const getScheduledTime = (option, now = new Date()) => {
+  if (option.delay) {
+    return new Date(now.getTime() + option.delay);
+  }
+
+  if (option.hour !== undefined) {
+    const time = new Date(now);
+    time.setHours(option.hour, 0, 0, 0);
+    if (time <= now) {
+      time.setDate(time.getDate() + 1);
+    }
+    return time;
+  }
+
+  return null;
+};
+
+// Format when a scheduled whisper will go up, e.g. "tomorrow at 8:00 AM"
+export const formatScheduledTime = (publishAt, now = new Date()) => {
+  const date = new Date(publishAt);
+  const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  if (date.toDateString() === now.toDateString()) {
+    return `today at ${time}`;
+  } else if (date.toDateString() === tomorrow.toDateString()) {
+    return `tomorrow at ${time}`;
+  } else {
+    return `${date.toLocaleDateString()} at ${time}`;
+  }
+};
+
+// Total reactions a whisper has received, across every reaction type
+export const getReactionTotal = (whisper) => {
+  return Object.values(whisper.reactions || {}).reduce((sum, count) => sum + count, 0);
+};
+
+// Likes plus reactions, used for "hearts" stats and popularity
+export const getEngagement = (whisper) => {
+  return (whisper.likes || 0) + getReactionTotal(whisper);
+};
+
+// Format the time left before a whisper fades
+export const formatTimeRemaining = (expiresAt, now = Date.now()) => {
+  const diff = new Date(expiresAt).getTime() - now;
+  if (diff <= 0) {
+    return 'Fading';
+  }
+
+  const minutes = Math.ceil(diff / (60 * 1000));
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (minutes < 60) {
+    return `${minutes}m left`;
+  } else if (hours < 24) {
+    return `${hours}h left`;
+  } else {
+    return `${days}d left`;
+  }
+};
+
 // Validate whisper text
 export const validateWhisperText = (text) => {
   const errors = [];
@@ -78,14 +169,6 @@ export const validateWhisperText = (text) => {
   };
 };
 
-// Simple bad word filter (basic implementation)
-const BAD_WORDS = ['spam', 'hate', 'abuse']; // Add more as needed
-
-export const containsBadWords = (text) => {
-  const lowerText = text.toLowerCase();
-  return BAD_WORDS.some(word => lowerText.includes(word));
-};
-
 // Generate random color from mood colors
 export const getMoodColor = (mood) => {
   const moodColors = {
@@ -98,10 +181,11 @@ export const getMoodColor = (mood) => {
   return moodColors[mood] || moodColors.calm;
 };
 
-// Debounce function for search/input
+// Debounce function for search/input. Call `.cancel()` to drop a
+// pending call.
 export const debounce = (func, wait) => {
   let timeout;
-  return function executedFunction(...args) {
+  const executedFunction = function (...args) {
     const later = () => {
       clearTimeout(timeout);
       func(...args);
@@ -109,11 +193,13 @@ export const debounce = (func, wait) => {
     clearTimeout(timeout);
     timeout = setTimeout(later, wait);
   };
+  executedFunction.cancel = () => clearTimeout(timeout);
+  return executedFunction;
 };
 
-// Generate unique ID
+// Generate unique ID from the OS secure random source
 export const generateId = () => {
-  return Date.now().toString(36) + Math.random().toString(36).substring(2);
+  return Crypto.randomUUID();
 };
 
 // Truncate text with ellipsis
@@ -181,4 +267,12 @@ export const isColorDark = (color) => {
   const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
   
   return luminance < 0.5;
-};
\ No newline at end of file
+};
+
+// Local calendar day of a date, e.g. '2024-03-09'
+export const toDayKey = (date) => {
+  const value = new Date(date);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
@@ -0,0 +1,96 @@
+// src/utils/moodAnalytics.js
+import { MOODS } from '../constants/theme';
+import { toDayKey } from './helpers';
+
+// Pure mood statistics over the user's own whispers. Everything is local
+// time and nothing here touches storage, so it works on any whisper list.
+
+export const TIME_OF_DAY_SLOTS = [
+  { id: 'morning', label: 'Morning', emoji: '🌅', startHour: 5, endHour: 12 },
+  { id: 'afternoon', label: 'Afternoon', emoji: '☀️', startHour: 12, endHour: 17 },
+  { id: 'evening', label: 'Evening', emoji: '🌆', startHour: 17, endHour: 22 },
+  { id: 'night', label: 'Night', emoji: '🌙', startHour: 22, endHour: 5 }
+];
+
+const emptyCounts = () => MOODS.reduce((acc, mood) => {
+  acc[mood.id] = 0;
+  return acc;
+}, {});
+
+// Per-mood counts for a list of whispers; unknown moods are ignored
+export const countMoods = (whispers) => whispers.reduce((acc, whisper) => {
+  if (whisper.mood in acc) acc[whisper.mood] += 1;
+  return acc;
+}, emptyCounts());
+
+// The most posted mood in a set of counts, or null if there are none.
+// Ties go to the mood listed first in MOODS.
+export const getDominantMood = (counts) => MOODS.reduce((best, mood) => (
+  counts[mood.id] > 0 && (!best || counts[mood.id] > counts[best]) ? mood.id : best
+), null);
+
+const groupBy = (whispers, keyOf) => whispers.reduce((acc, whisper) => {
+  const key = keyOf(new Date(whisper.timestamp));
+  (acc[key] = acc[key] || []).push(whisper);
+  return acc;
+}, {});
+
+const toBucket = (whispers = []) => {
+  const counts = countMoods(whispers);
+  return { counts, total: whispers.length, dominantMood: getDominantMood(counts) };
+};
+
+// Calendar heatmap: one entry per day for the last `days` days, oldest
+// first, ending today
+export const getMoodCalendar = (whispers, { days = 35, now = new Date() } = {}) => {
+  const byDay = groupBy(whispers, toDayKey);
+  const today = new Date(now);
+
+  return Array.from({ length: days }, (_, index) => {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - index));
+    const day = toDayKey(date);
+    return { day, date, ...toBucket(byDay[day]) };
+  });
+};
+
+// Start of the week (Monday) or month a date falls in
+const periodStart = (date, period) => {
+  if (period === 'month') {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+};
+
+const shiftPeriod = (start, period, amount) => (
+  period === 'month'
+    ? new Date(start.getFullYear(), start.getMonth() + amount, 1)
+    : new Date(start.getFullYear(), start.getMonth(), start.getDate() + amount * 7)
+);
+
+// Mood counts for the last `count` weeks or months, oldest first, each
+// with a short label ("Mar 4" for weeks, "Mar" for months)
+export const getMoodTrend = (whispers, { period = 'week', count = 8, now = new Date() } = {}) => {
+  const byPeriod = groupBy(whispers, date => toDayKey(periodStart(date, period)));
+  const current = periodStart(new Date(now), period);
+
+  return Array.from({ length: count }, (_, index) => {
+    const start = shiftPeriod(current, period, index - (count - 1));
+    const label = period === 'month'
+      ? start.toLocaleDateString('en-US', { month: 'short' })
+      : start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return { start, label, ...toBucket(byPeriod[toDayKey(start)]) };
+  });
+};
+
+const slotForHour = (hour) => TIME_OF_DAY_SLOTS.find(slot => (
+  slot.startHour < slot.endHour
+    ? hour >= slot.startHour && hour < slot.endHour
+    : hour >= slot.startHour || hour < slot.endHour
+));
+
+// How moods spread over morning, afternoon, evening and night
+export const getTimeOfDayPattern = (whispers) => {
+  const bySlot = groupBy(whispers, date => slotForHour(date.getHours()).id);
+  return TIME_OF_DAY_SLOTS.map(slot => ({ ...slot, ...toBucket(bySlot[slot.id]) }));
+};
@@ -0,0 +1,108 @@
+// src/utils/spatialIndex.js
+import { calculateDistance } from './helpers';
+
+// Grid cell size in degrees (~1.1km of latitude)
+const DEFAULT_CELL_SIZE = 0.01;
+
+// Must match the Earth radius used by calculateDistance
+const EARTH_RADIUS = 6371000;
+
+const toRadians = (deg) => deg * (Math.PI / 180);
+const toDegrees = (rad) => rad * (180 / Math.PI);
+
+const cellKey = (x, y) => `${x}:${y}`;
+
+const toCell = (latitude, longitude, cellSize) => ({
+  x: Math.floor((longitude + 180) / cellSize),
+  y: Math.floor((latitude + 90) / cellSize)
+});
+
+// Build a grid-based spatial index over items with a location.
+// Items without a location are skipped and never match a radius query.
+export const createSpatialIndex = (items, { cellSize = DEFAULT_CELL_SIZE, getLocation = item => item.location } = {}) => {
+  const cells = new Map();
+  const located = [];
+  const columns = Math.ceil(360 / cellSize);
+
+  items.forEach(item => {
+    const location = getLocation(item);
+    if (!location) return;
+
+    located.push(item);
+
+    const { x, y } = toCell(location.latitude, location.longitude, cellSize);
+    const key = cellKey(x % columns, y);
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(item);
+  });
+
+  // Candidate items whose cell intersects the bounding box of the circle
+  const getCandidates = (latitude, longitude, radius) => {
+    // +1m covers the rounding done by calculateDistance
+    const angularRadius = (radius + 1) / EARTH_RADIUS;
+    const latDelta = toDegrees(angularRadius);
+    const minLat = Math.max(-90, latitude - latDelta);
+    const maxLat = Math.min(90, latitude + latDelta);
+
+    // Widest longitude span of the circle; if it reaches a pole the box
+    // covers every longitude
+    const sinRatio = Math.sin(angularRadius) / Math.cos(toRadians(latitude));
+    const lngDelta = minLat === -90 || maxLat === 90 || sinRatio >= 1
+      ? 180
+      : toDegrees(Math.asin(sinRatio));
+
+    const minCell = toCell(minLat, longitude - lngDelta, cellSize);
+    const maxCell = toCell(maxLat, longitude + lngDelta, cellSize);
+
+    const spanX = Math.min(columns - 1, maxCell.x - minCell.x);
+
+    // A wide query over a sparse index would mostly visit empty cells;
+    // checking every item is cheaper then
+    if ((maxCell.y - minCell.y + 1) * (spanX + 1) > located.length) {
+      return located;
+    }
+
+    const candidates = [];
+
+    for (let y = minCell.y; y <= maxCell.y; y++) {
+      for (let offset = 0; offset <= spanX; offset++) {
+        // Wrap around the antimeridian
+        const x = (((minCell.x + offset) % columns) + columns) % columns;
+        const bucket = cells.get(cellKey(x, y));
+        if (bucket) {
+          candidates.push(...bucket);
+        }
+      }
+    }
+
+    return candidates;
+  };
+
+  // Items within `radius` meters of `origin`, each paired with its exact
+  // Haversine distance
+  const queryRadius = (origin, radius) => {
+    if (!origin) return [];
+
+    return getCandidates(origin.latitude, origin.longitude, radius)
+      .map(item => {
+        const location = getLocation(item);
+        return {
+          item,
+          distance: calculateDistance(
+            origin.latitude,
+            origin.longitude,
+            location.latitude,
+            location.longitude
+          )
+        };
+      })
+      .filter(result => result.distance <= radius);
+  };
+
+  return {
+    size: items.length,
+    queryRadius
+  };
+};